@@ -35,4 +35,11 @@ export default [
       ],
     },
   },
+  {
+    // The mock SignalK server runs under node
+    files: ['signalk/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
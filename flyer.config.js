@@ -2,11 +2,33 @@
  * Configuration settings
  */
 
+export const configOptions = {
+    // The runtime configuration file, served next to index.html. It can
+    // override boatOptions, mqttOptions, transportOptions, signalkOptions,
+    // tableOptions, and markerOptions without a rebuild. It is optional.
+    url: "config.json",
+    // The retained MQTT topic that can override them again, except for
+    // mqttOptions, transportOptions, and signalkOptions
+    topic: "config",
+};
+
 export const boatOptions = {
     defaultStatus: "If no position appears after a few seconds, it is because " +
         "power is off on the boat."
 }
 
+export const statusOptions = {
+    // The retained MQTT topics that hold the current status, the earlier
+    // ones, and the ones scheduled for the future
+    topic: "status",
+    historyTopic: "status/history",
+    scheduledTopic: "status/scheduled",
+    // How many earlier status messages to keep
+    historyLength: 50,
+    // How serious a status can be. The first is the default.
+    severities: ["info", "warning", "urgent"],
+};
+
 export const mqttOptions = {
     // The URL for the MQTT broker
     // brokerUrl : "ws://localhost:8080",
@@ -22,10 +44,268 @@ export const mqttOptions = {
     password: undefined,
 
     // Which SignalK ID to listen to. This is usually set to the vessel's MMSI
-    // number. Use '+' to listen to all IDs.
+    // number. Use '+' to listen to all IDs. To listen to several vessels, use
+    // an array of IDs.
     vesselId: "+",
 };
 
+export const transportOptions = {
+    // How the app gets its data. Either "mqtt", from the broker set in
+    // mqttOptions, or "signalk", straight from the WebSocket stream of the
+    // SignalK server set in signalkOptions. Only "mqtt" carries the status,
+    // the shared anchor watch, and the other retained topics, and only it
+    // can publish.
+    type: "mqtt",
+};
+
+export const signalkOptions = {
+    // The SignalK server's WebSocket stream. For the mock server in
+    // signalk/mock-server.js, use "ws://localhost:3000/signalk/v1/stream".
+    url: "ws://localhost:3000/signalk/v1/stream",
+    // Whose data to subscribe to. "vessels.self" is the boat itself. Use
+    // "vessels.*" to get AIS targets as well.
+    context: "vessels.self",
+    // The paths to subscribe to. "*" matches any part of a path.
+    paths: [
+        "navigation.*",
+        "environment.*",
+        "steering.*",
+        "electrical.*",
+        "notifications.*",
+    ],
+    // How often the server should send each path, in milliseconds
+    period: 1000,
+    // How long to wait before reconnecting after the connection drops, in
+    // milliseconds
+    reconnectPeriod: 1000,
+};
+
+export const vesselOptions = {
+    // Display names and icons for individual vessels, keyed by SignalK ID
+    // (usually the MMSI number). Vessels not listed here are named by their ID
+    // and get the default icon.
+    vessels: {
+        "367199590": {
+            name: "Western Flyer",
+            icon: "/flyer-map/western flyer.svg",
+        },
+    },
+    defaultIcon: "/flyer-map/boat.svg",
+};
+
+export const mapOptions = {
+    // Which map provider to use. Either "google", which needs an API key, or
+    // "leaflet", which does not.
+    provider: "google",
+    // The zoom level to start out at
+    defaultZoom: 10,
+    google: {
+        // The Google Maps API key. If not set here, it is taken from
+        // src/google-api-key.js
+        apiKey: undefined,
+        mapId: "FLYER_MAP_ID",
+    },
+    leaflet: {
+        maxZoom: 18,
+        // The tile layers to show, bottom first. The first is the base map,
+        // here OpenStreetMap. OpenSeaMap's seamarks go over it. For a
+        // directory of tiles served alongside the app, use something like
+        //   { url: "/flyer-map/tiles/{z}/{x}/{y}.png", attribution: "" }
+        tileLayers: [
+            {
+                url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+                attribution: "&copy; <a href=\"https://www.openstreetmap.org/copyright\">OpenStreetMap</a> contributors",
+            },
+            {
+                url: "https://tiles.openseamap.org/seamark/{z}/{x}/{y}.png",
+                attribution: "Seamarks &copy; <a href=\"https://www.openseamap.org\">OpenSeaMap</a>",
+            },
+        ],
+    },
+};
+
+export const aisOptions = {
+    // Whether to show AIS traffic. A delta whose context is not one of our
+    // own vessels is taken to be an AIS target. Our own are the vessel
+    // running the SignalK server, the IDs named in mqttOptions.vesselId, and
+    // those in the fleet list below.
+    enabled: true,
+    // SignalK IDs of vessels of ours, which are not AIS targets. Needed when
+    // mqttOptions.vesselId is '+', as it names no vessel.
+    fleet: ["367199590"],
+    // Targets not heard from in this many seconds are dropped
+    maxAge: 600,
+    // A target is dangerous if it will pass closer than cpaLimit meters
+    // within tcpaLimit seconds
+    cpaLimit: 1852,
+    tcpaLimit: 1800,
+};
+
+export const anchorOptions = {
+    // The swing radius to start with, in meters
+    defaultRadius: 50,
+    // The retained MQTT topic used to share an anchor watch with every viewer
+    topic: "anchor",
+    // Key used to save the anchor watch in the browser's local storage
+    storageKey: "flyer-anchor",
+    // While the anchor is dragging, sound the alarm this often, in seconds
+    alarmInterval: 10,
+};
+
+export const adminOptions = {
+    // Topic the admin console publishes to after logging in, to find out
+    // whether the account may publish. The broker's access list should treat
+    // it like the other topics the console publishes to. Only a broker that
+    // speaks MQTT 5 reports a refused publish, so with an older broker the
+    // console takes the account to be able to publish.
+    probeTopic: "admin/probe",
+};
+
+export const destinationOptions = {
+    // The retained MQTT topic that holds the destination set in the admin
+    // console
+    topic: "destination",
+};
+
+export const displayOptions = {
+    // The retained MQTT topic that holds the display settings set in the
+    // admin console
+    topic: "display",
+};
+
+export const alarmOptions = {
+    // Keys used to save the alarm rules, and the alarms they raised, in the
+    // browser's local storage
+    rulesKey: "flyer-alarm-rules",
+    alarmsKey: "flyer-alarms",
+    // An alarm raised by a rule clears only once the rule has stayed unbroken
+    // for this many seconds, so a value hovering around the threshold does
+    // not raise it over and over
+    clearDelay: 60,
+    // How long the user can snooze an alarm for, in seconds
+    snoozeChoices: [
+        { label: "15 min", length: 900 },
+        { label: "1 hour", length: 3600 },
+        { label: "6 hours", length: 6 * 3600 },
+    ],
+};
+
+export const routeOptions = {
+    // Key used to save the route in the browser's local storage
+    storageKey: "flyer-route",
+    // A waypoint counts as reached once the vessel is within this many
+    // meters of it. The route then moves on to the next one.
+    arrivalRadius: 100,
+    // Color of the route line
+    strokeColor: "#1e6fd2",
+};
+
+export const rulerOptions = {
+    // Color of the measuring lines. The great circle is drawn solid, the
+    // rhumb line dashed.
+    strokeColor: "#8b008b",
+};
+
+export const cacheOptions = {
+    // Key used to save the last known state in the browser's local storage,
+    // so that a reload shows it right away
+    storageKey: "flyer-last-state",
+    // Save the state at most this often, in seconds
+    saveInterval: 10,
+};
+
+export const currentOptions = {
+    // The set and drift of the current are averaged over this many seconds,
+    // to smooth out the noise in the instruments
+    window: 120,
+    // The current arrow on the map shows where the current would carry the
+    // boat in this many seconds
+    duration: 3600,
+    // No arrow is shown for a drift below this, in meters per second
+    minDrift: 0.05,
+};
+
+export const polarOptions = {
+    // Key used to save the polar in the browser's local storage
+    storageKey: "flyer-polar",
+    // Colors of the laylines to the destination
+    starboardColor: "green",
+    portColor: "red",
+};
+
+export const derivedOptions = {
+    // Whether to calculate true wind, VMG to wind, and leeway from the raw
+    // instruments, for boats whose SignalK server does not. A value sent by
+    // the boat is never replaced by a calculated one.
+    enabled: true,
+    // The leeway coefficient of the hull. Leeway, in degrees, is taken to be
+    // leewayFactor * heel in degrees / (speed through water in knots)^2.
+    leewayFactor: 12,
+};
+
+export const staleOptions = {
+    // How old a value can get, in seconds, before it is shown as stale. Paths
+    // not listed here use the default.
+    maxAge: {
+        default: 120,
+        "navigation.log": 600,
+        "environment.water.temperature": 600,
+        "environment.outside.pressure": 600,
+        "environment.outside.temperature": 600,
+    },
+    // How often to check for stale values, in seconds
+    checkInterval: 10,
+};
+
+export const unitOptions = {
+    // Key used to save the unit settings in the browser's local storage
+    storageKey: "flyer-units",
+    // Which preset to use until the user picks one. One of "metric",
+    // "imperial", or "nautical".
+    defaultPreset: "nautical",
+};
+
+export const windOptions = {
+    // The number of direction sectors in the wind rose
+    sectors: 16,
+    // A shift is the change in the mean direction over the last this many
+    // seconds, from the mean over the time before it
+    shiftWindow: 600,
+    // Shifts smaller than this, in degrees, are not called a shift
+    shiftThreshold: 10,
+    // Below this steadiness (0 to 1), the wind is called variable, rather
+    // than given a mean direction
+    minSteadiness: 0.3,
+};
+
+export const historyOptions = {
+    // How much history to keep for each SignalK path, in seconds
+    maxAge: 24 * 3600,
+    // The most points to keep for each path
+    maxPoints: 5000,
+    // Time ranges the user can choose from in the history chart. Length is
+    // in seconds.
+    ranges: [
+        { label: "15 min", length: 900 },
+        { label: "1 hour", length: 3600 },
+        { label: "6 hours", length: 6 * 3600 },
+        { label: "24 hours", length: 24 * 3600 },
+    ],
+    // Index into "ranges" of the range to show initially
+    defaultRange: 1,
+    // How much history the sparklines in the table show, in seconds
+    sparklineLength: 3600,
+};
+
+export const recorderOptions = {
+    // Name of the IndexedDB database, and its object store, that hold
+    // captured messages
+    dbName: "flyer-recorder",
+    storeName: "messages",
+    // Key used to remember in local storage whether a capture is under way
+    recordingKey: "flyer-recording",
+};
+
 export const tableOptions = {
     // What to present in the table, and in what order:
     order: [
@@ -35,7 +315,13 @@ export const tableOptions = {
         "navigation.courseOverGroundTrue",
         "navigation.speedThroughWater",
         "navigation.headingTrue",
+        "navigation.leewayAngle",
         "navigation.log",
+        "navigation.courseGreatCircle.nextPoint.distance",
+        "navigation.courseGreatCircle.nextPoint.bearingTrue",
+        "navigation.courseGreatCircle.crossTrackError",
+        "navigation.courseGreatCircle.nextPoint.velocityMadeGood",
+        "navigation.courseGreatCircle.nextPoint.estimatedTimeOfArrival",
         "environment.depth.belowSurface",
         "environment.depth.belowTransducer",
         "environment.depth.belowKeel",
@@ -44,13 +330,78 @@ export const tableOptions = {
         "environment.wind.directionTrue",
         "environment.wind.speedApparent",
         "environment.wind.angleApparent",
+        "environment.wind.angleTrueWater",
+        "performance.velocityMadeGood",
+        "performance.polarSpeed",
+        "performance.polarSpeedRatio",
+        "environment.current.setTrue",
+        "environment.current.drift",
         "environment.water.temperature",
         "environment.outside.pressure",
         "environment.outside.temperature",
         "steering.rudderAngle",
     ],
+    // Whether to start out showing every path seen, after the ones above.
+    // The user can change this with the checkbox above the table.
+    showAll: false,
 };
 
 export const markerOptions = {
     minCOGLength: 5,
 };
+
+export const predictOptions = {
+    // How far ahead the predicted path can reach, in seconds. The user picks
+    // one on the map.
+    durations: [
+        { label: "5 min", length: 300 },
+        { label: "10 min", length: 600 },
+        { label: "15 min", length: 900 },
+        { label: "1 hour", length: 3600 },
+    ],
+    // Index into "durations" of the one to show initially
+    defaultDuration: 1,
+    // Put a tick on the path at each of these times ahead, in seconds, that
+    // falls within the duration
+    ticks: [60, 300, 900, 3600],
+    // The path is worked out in steps of this many seconds
+    step: 10,
+    // Without a rate of turn from the boat, it is worked out from how the
+    // COG (or, failing that, the heading) changed over this many seconds
+    rateOfTurnWindow: 30,
+    // Rates of turn below this, in radians per second, count as going
+    // straight, so that noise does not bend the path
+    minRateOfTurn: 0.0005,
+    // Whether to show the heading line initially
+    showHeading: true,
+    // Color of the heading line
+    headingColor: "#555",
+};
+
+export const trackOptions = {
+    // Key used to save the track in the browser's local storage
+    storageKey: "flyer-track",
+
+    // Time windows the user can choose from. Length is in seconds. A length of
+    // null means the whole passage.
+    windows: [
+        { label: "Last 6 hours", length: 6 * 3600 },
+        { label: "Last 24 hours", length: 24 * 3600 },
+        { label: "Whole passage", length: null },
+    ],
+    // Index into "windows" of the window to show initially
+    defaultWindow: 1,
+
+    // How to thin out old points. Once a point is older than "age" seconds,
+    // points are kept only if they are at least "spacing" seconds apart.
+    thinning: [
+        { age: 3600, spacing: 60 },
+        { age: 6 * 3600, spacing: 300 },
+        { age: 24 * 3600, spacing: 900 },
+    ],
+    // Thin the track each time it grows by this many points
+    thinEvery: 100,
+
+    // Color of the track line
+    strokeColor: "#d2691e",
+};
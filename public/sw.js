@@ -0,0 +1,92 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/*
+    Service worker that lets the app load without a connection. The app shell
+    is cached when the worker is installed. Everything else the app loads
+    from its own site, such as the scripts and styles built by Vite, is cached
+    the first time it is fetched.
+
+    Pages are fetched from the network first, so a new version shows up as
+    soon as it is deployed, falling back to the cache when offline. Built
+    assets have a hash in their names, so they never change, and are served
+    from the cache first. Other sites, such as the map tiles and the MQTT
+    broker, are left alone.
+
+    Bump CACHE_NAME to throw away everything cached by an older version.
+ */
+
+const CACHE_NAME = "flyer-map-v1";
+
+// The app shell, relative to where this worker is served from
+const SHELL = [
+    "./",
+    "./index.html",
+    "./manifest.webmanifest",
+    "./favicon.ico",
+    "./assets_logo_trans.png",
+    "./underline-short.png",
+    "./boat.svg",
+    "./western flyer.svg",
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(SHELL))
+            .then(() => self.skipWaiting()),
+    );
+});
+
+// Remove the caches of older versions
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name !== CACHE_NAME)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim()),
+    );
+});
+
+// Fetch from the network, keeping a copy in the cache. If the network fails,
+// use the copy.
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+// Use the copy in the cache if there is one. Otherwise, fetch from the
+// network and keep a copy.
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes("/assets/")) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,202 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/*
+    A mock SignalK server, for trying out the "signalk" transport without a
+    boat. It serves the WebSocket stream at ws://localhost:3000/signalk/v1/stream,
+    and answers subscriptions with made-up data: the boat sails a slow circle
+    in Monterey Bay, and an AIS target steams past in a straight line.
+
+    Run it with
+        npm run mock-signalk
+    Set PORT to use some other port.
+ */
+
+import http from "http";
+import { WebSocketServer } from "ws";
+
+const port = Number(process.env.PORT) || 3000;
+const selfContext = "vessels.urn:mrn:imo:mmsi:367199590";
+const targetContext = "vessels.urn:mrn:imo:mmsi:366999999";
+
+// Mean radius of the Earth in meters
+const R = 6371e3;
+
+// The made-up vessels. Angles are in radians, speeds in meters per second,
+// and rateOfTurn in radians per second.
+const vessels = {
+    [selfContext]: {
+        lat: 36.80, lng: -121.95, cog: 0, sog: 3.0, rateOfTurn: 0.005,
+    },
+    [targetContext]: {
+        lat: 36.70, lng: -122.05, cog: 0.8, sog: 7.0, rateOfTurn: 0,
+    },
+};
+
+// The true wind, blowing from the northwest
+const wind = { direction: 5.4, speed: 8.0 };
+
+// Move a vessel on by "seconds"
+function move(vessel, seconds) {
+    const distance = vessel.sog * seconds;
+    vessel.lat += (distance * Math.cos(vessel.cog) / R) * 180 / Math.PI;
+    vessel.lng += (distance * Math.sin(vessel.cog) /
+        (R * Math.cos(vessel.lat * Math.PI / 180))) * 180 / Math.PI;
+    vessel.cog = (vessel.cog + vessel.rateOfTurn * seconds + 2 * Math.PI) % (2 * Math.PI);
+}
+
+// Add some noise to a value
+function jitter(value, amount) {
+    return value + (Math.random() - 0.5) * 2 * amount;
+}
+
+// The values of a vessel, as SignalK path and value
+function getValues(context, vessel) {
+    const values = [
+        { path: "navigation.position", value: { latitude: vessel.lat, longitude: vessel.lng } },
+        { path: "navigation.speedOverGround", value: vessel.sog },
+        { path: "navigation.courseOverGroundTrue", value: vessel.cog },
+        { path: "navigation.headingTrue", value: vessel.cog },
+        { path: "navigation.rateOfTurn", value: vessel.rateOfTurn },
+    ];
+    if (context !== selfContext) return values;
+
+    // The wind the boat feels: the true wind, plus the wind made by the
+    // boat's own motion. "x" is across the boat, "y" along it, toward the bow.
+    const speed = jitter(wind.speed, 0.5);
+    const direction = jitter(wind.direction, 0.05);
+    const x = speed * Math.sin(direction - vessel.cog);
+    const y = speed * Math.cos(direction - vessel.cog) + vessel.sog;
+    const angleApparent = Math.atan2(x, y);
+
+    return values.concat([
+        { path: "navigation.speedThroughWater", value: jitter(vessel.sog, 0.1) },
+        { path: "environment.wind.speedApparent", value: Math.hypot(x, y) },
+        { path: "environment.wind.angleApparent", value: angleApparent },
+        { path: "environment.depth.belowTransducer", value: jitter(40, 2) },
+        { path: "environment.water.temperature", value: jitter(287.5, 0.1) },
+        { path: "environment.outside.pressure", value: jitter(101500, 20) },
+        { path: "steering.rudderAngle", value: jitter(0.05, 0.02) },
+        { path: "electrical.batteries.house.voltage", value: jitter(12.8, 0.1) },
+    ]);
+}
+
+// Metadata for the paths the app has no table entry for, sent along with
+// their first values
+const meta = [
+    { path: "navigation.rateOfTurn", value: { units: "rad/s", displayName: "Rate of turn" } },
+    { path: "electrical.batteries.house.voltage", value: { units: "V", displayName: "House battery" } },
+];
+
+// Turn a SignalK pattern, where "*" matches anything, into a regular
+// expression
+function toRegExp(pattern) {
+    const escaped = pattern.split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp("^" + escaped + "$");
+}
+
+// Whether a subscription's context takes in a vessel
+function matchesContext(pattern, context) {
+    return (pattern === "vessels.self" && context === selfContext) ||
+        toRegExp(pattern).test(context);
+}
+
+const server = http.createServer((req, res) => {
+    // The discovery document, which tells a client where the stream is
+    if (req.url === "/signalk" || req.url === "/signalk/") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+            endpoints: {
+                v1: {
+                    version: "1.7.0",
+                    "signalk-ws": `ws://localhost:${port}/signalk/v1/stream`,
+                },
+            },
+            server: { id: "flyer-mock", version: "1.0.0" },
+        }));
+    } else {
+        res.writeHead(404);
+        res.end();
+    }
+});
+
+const wss = new WebSocketServer({ server, path: "/signalk/v1/stream" });
+
+wss.on("connection", (socket, req) => {
+    // What this client has subscribed to. "?subscribe=none" starts it out
+    // with nothing. Otherwise, it gets everything about the boat itself.
+    const query = new URL(req.url, "http://localhost").searchParams;
+    socket.subscriptions = query.get("subscribe") === "none"
+        ? []
+        : [{ context: "vessels.self", path: toRegExp("*"), period: 1000, lastSent: 0 }];
+
+    socket.send(JSON.stringify({
+        name: "flyer-mock",
+        version: "1.0.0",
+        self: selfContext,
+        roles: ["master", "main"],
+        timestamp: new Date().toISOString(),
+    }));
+
+    socket.on("message", (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            console.error("Bad message from client:", data.toString());
+            return;
+        }
+        if (Array.isArray(message.unsubscribe)) socket.subscriptions = [];
+        if (Array.isArray(message.subscribe)) {
+            for (const s of message.subscribe) {
+                socket.subscriptions.push({
+                    context: message.context || "vessels.self",
+                    path: toRegExp(s.path || "*"),
+                    period: s.period || 1000,
+                    lastSent: 0,
+                    sendMeta: s.sendMeta === "all",
+                });
+            }
+            console.log("Client subscribed to", message.context,
+                message.subscribe.map((s) => s.path).join(", "));
+        }
+    });
+});
+
+// Each second, move the vessels on, and send each client what it asked for
+setInterval(() => {
+    const now = Date.now();
+    for (const vessel of Object.values(vessels)) move(vessel, 1);
+
+    for (const socket of wss.clients) {
+        const due = socket.subscriptions.filter((s) => now - s.lastSent >= s.period);
+        if (!due.length) continue;
+        for (const [context, vessel] of Object.entries(vessels)) {
+            const values = getValues(context, vessel).filter((v) => due.some(
+                (s) => matchesContext(s.context, context) && s.path.test(v.path)));
+            if (!values.length) continue;
+            const update = {
+                source: { label: "flyer-mock" },
+                timestamp: new Date(now).toISOString(),
+                values,
+            };
+            // Send the metadata once, to those who asked for it
+            if (!socket.sentMeta && due.some((s) => s.sendMeta)) {
+                update.meta = meta.filter((m) => values.some((v) => v.path === m.path));
+                if (update.meta.length) socket.sentMeta = true;
+            }
+            socket.send(JSON.stringify({ context, updates: [update] }));
+        }
+        for (const s of due) s.lastSent = now;
+    }
+}, 1000);
+
+server.listen(port, () => {
+    console.log(`Mock SignalK server at ws://localhost:${port}/signalk/v1/stream`);
+});
@@ -22,7 +22,8 @@ const MapGuide = () => {
                 points&nbsp;<i>from</i>&nbsp;the direction of the wind. The
                 purple line with the small circle on the end is the course over
                 ground. Its length represents how far the boat will travel in 10
-                minutes. Finally, the boat is oriented along the
+                minutes. The orange line behind the boat is its track: where
+                it has been. Finally, the boat is oriented along the
                 boat&apos;s&nbsp;<i>heading</i>. Putting it all together, in
                 the image to the right, the boat is heading southwest, the wind is
                 between 8 and 12 knots from the west, and the course over ground
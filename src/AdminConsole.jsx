@@ -0,0 +1,256 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useState } from "react";
+
+import {
+    adminOptions,
+    anchorOptions,
+    destinationOptions,
+    displayOptions,
+    mqttOptions,
+    statusOptions,
+} from "../flyer.config.js";
+import {
+    AnchorAdmin,
+    DestinationAdmin,
+    DisplayAdmin,
+    StatusAdmin,
+} from "./AdminPanels";
+import { parseAnchorWatch } from "./anchor.js";
+import { ConnectionBanner } from "./ConnectionBanner";
+import { parseDestination } from "./destination.js";
+import { parseDisplaySettings } from "./display.js";
+import { parseStatus, parseStatusList } from "./statusMessages.js";
+import { canPublish as transportCanPublish, connect } from "./transports";
+import {
+    getContext,
+    getDeltaTopics,
+    getUpdateDicts,
+    getUpdatePosition,
+    isFleetContext,
+} from "./utilities.js";
+import "./App.css";
+
+/**
+ * Find out whether the account may publish, by publishing to
+ * adminOptions.probeTopic.
+ * @param {MqttClient} client
+ * @returns {Promise<boolean>}
+ */
+function checkCanPublish(client) {
+    return client.publishAsync(adminOptions.probeTopic, String(Date.now()), { qos: 1 })
+        .then(() => true, (err) => {
+            console.error("Probe publish refused:", err);
+            return false;
+        });
+}
+
+/**
+ * React function component for the admin console. The user logs in once.
+ * The connection made then is used for every action, until the user logs
+ * out.
+ *
+ * @returns {JSX.Element}
+ */
+export function AdminConsole() {
+    // The username and password given, or null if not logged in
+    const [credentials, setCredentials] = useState(null);
+    // The connection to the broker, once it has accepted the credentials
+    const [client, setClient] = useState(null);
+    // State of the connection. One of "connecting", "online",
+    // "reconnecting", or "offline".
+    const [connectionState, setConnectionState] = useState("connecting");
+    // Whether the account may publish. Null until known.
+    const [canPublish, setCanPublish] = useState(null);
+    // Why the last attempt to log in failed
+    const [loginError, setLoginError] = useState(null);
+    // What is published now. See statusMessages.js, anchor.js,
+    // destination.js, and display.js for what each holds.
+    const [status, setStatus] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [scheduled, setScheduled] = useState([]);
+    const [anchorWatch, setAnchorWatch] = useState(null);
+    const [destination, setDestination] = useState(null);
+    const [displaySettings, setDisplaySettings] = useState({});
+    // The latest position of each vessel, keyed by context
+    const [positions, setPositions] = useState({});
+
+    // Log in to the broker. The connection is kept, and reconnects by itself
+    // if it drops, until the user logs out.
+    useEffect(() => {
+        if (!credentials) return;
+        const client = connect({
+            clientId: mqttOptions.clientId + "-admin",
+            username: credentials.username,
+            password: credentials.password,
+            // MQTT 5 is needed to hear back when a publish is refused
+            protocolVersion: 5,
+        });
+        // Whether the broker has accepted the credentials, and whether this
+        // connection is finished with
+        let accepted = false;
+        let done = false;
+
+        // Until the broker accepts the credentials, an error or a close means
+        // the login failed. Don't keep retrying.
+        function fail(message) {
+            if (accepted || done) return;
+            done = true;
+            client.end(true);
+            setLoginError("Unable to log in: " + message);
+            setCredentials(null);
+        }
+
+        client.on("connect", () => {
+            setConnectionState("online");
+            if (accepted) return;
+            accepted = true;
+            setClient(client);
+            client.subscribe([
+                statusOptions.topic,
+                statusOptions.historyTopic,
+                statusOptions.scheduledTopic,
+                anchorOptions.topic,
+                destinationOptions.topic,
+                displayOptions.topic,
+                ...getDeltaTopics(),
+            ]);
+            // A transport that cannot publish at all is not worth asking
+            if (transportCanPublish()) {
+                checkCanPublish(client).then(setCanPublish);
+            } else {
+                setCanPublish(false);
+            }
+        });
+        client.on("reconnect", () => setConnectionState("reconnecting"));
+        client.on("offline", () => setConnectionState("offline"));
+        client.on("close", () => {
+            setConnectionState("offline");
+            fail("unable to reach the broker.");
+        });
+        client.on("error", (err) => {
+            console.error(err);
+            fail(err.message);
+        });
+        client.on("message", function(topic, message) {
+            const payload = message.toString();
+            if (topic === statusOptions.topic) {
+                setStatus(parseStatus(payload));
+            } else if (topic === statusOptions.historyTopic) {
+                setHistory(parseStatusList(payload));
+            } else if (topic === statusOptions.scheduledTopic) {
+                setScheduled(parseStatusList(payload));
+            } else if (topic === anchorOptions.topic) {
+                setAnchorWatch(parseAnchorWatch(payload));
+            } else if (topic === destinationOptions.topic) {
+                setDestination(parseDestination(payload));
+            } else if (topic === displayOptions.topic) {
+                setDisplaySettings(parseDisplaySettings(payload));
+            } else {
+                try {
+                    const signalk_obj = JSON.parse(payload);
+                    const context = getContext(signalk_obj);
+                    const position = getUpdatePosition(getUpdateDicts(signalk_obj));
+                    if (position && isFleetContext(context)) {
+                        setPositions((p) => ({ ...p, [context]: position }));
+                    }
+                } catch (err) {
+                    console.error("Bad SignalK delta:", err);
+                }
+            }
+        });
+
+        // Log out
+        return () => {
+            done = true;
+            client.end(
+                (err) => err && console.log("Error closing MQTT connection:", err),
+            );
+            setClient(null);
+            setCanPublish(null);
+            setConnectionState("connecting");
+        };
+    }, [credentials]);
+
+    function handleLogin(event) {
+        event.preventDefault();
+        const formData = new FormData(event.target);
+        setLoginError(null);
+        setCredentials({
+            username: formData.get("uname"),
+            password: formData.get("pword"),
+        });
+    }
+
+    /**
+     * Publish retained messages over the authenticated connection.
+     * @param {Array<{topic: string, payload: string}>} messages
+     * @returns {Promise} Resolves once the broker has accepted every message.
+     *   Rejects with its reason if it refuses one.
+     */
+    function publish(messages) {
+        if (!client?.connected) {
+            return Promise.reject(new Error("not connected to the broker"));
+        }
+        return Promise.all(messages.map((m) =>
+            client.publishAsync(m.topic, m.payload, { qos: 1, retain: true })));
+    }
+
+    if (!client) {
+        return (
+            <div className="admin">
+                <h1>Admin console</h1>
+                <form onSubmit={handleLogin}>
+                    <label htmlFor="uname">Username: </label>
+                    <input type="text" id="uname" name="uname" maxLength={30}
+                           autoComplete="username" required autoFocus /><br /><br />
+                    <label htmlFor="pword">Password: </label>
+                    <input type="password" id="pword" name="pword" maxLength={30}
+                           autoComplete="current-password" required /><br /><br />
+                    <button type="submit" disabled={credentials != null}>
+                        {credentials ? "Logging in..." : "Log in"}
+                    </button>
+                </form>
+                {loginError && <p className="error">{loginError}</p>}
+            </div>
+        );
+    }
+
+    return (
+        <div className="admin">
+            <h1>Admin console</h1>
+            <p>
+                Logged in as <strong>{credentials.username}</strong>.{" "}
+                {canPublish === null && <em>Checking whether this account can publish...</em>}
+                {canPublish === true && <span className="success">This account can publish.</span>}
+                {canPublish === false && (transportCanPublish() ? (
+                    <span className="error">This account cannot publish. Changes will be
+                        refused.</span>
+                ) : (
+                    <span className="error">The SignalK server cannot be published to,
+                        so nothing can be changed here.</span>
+                ))}{" "}
+                <button onClick={() => setCredentials(null)}>Log out</button>
+            </p>
+            <ConnectionBanner connectionState={connectionState} />
+            <fieldset disabled={!transportCanPublish()}>
+                <StatusAdmin status={status}
+                             history={history}
+                             scheduled={scheduled}
+                             onPublish={publish} />
+                <AnchorAdmin watch={anchorWatch}
+                             positions={positions}
+                             onPublish={publish} />
+                <DestinationAdmin destination={destination}
+                                  onPublish={publish} />
+                <DisplayAdmin settings={displaySettings}
+                              onPublish={publish} />
+            </fieldset>
+        </div>
+    );
+}
@@ -0,0 +1,409 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import {
+    anchorOptions,
+    destinationOptions,
+    displayOptions,
+    statusOptions,
+    trackOptions,
+} from "../flyer.config.js";
+import { useNow } from "./hooks.js";
+import { getEffectiveStatus } from "./statusMessages.js";
+import { StatusPanel } from "./StatusPanel";
+import { formatLatLon, formatValue, unitPresets } from "./units.js";
+import { getVesselInfo } from "./utilities.js";
+import "./App.css";
+
+// Publish messages, and keep the outcome to show. "onPublish" returns a
+// promise that settles once the broker has answered.
+function usePublish(onPublish) {
+    const [result, setResult] = useState(null);
+
+    async function publish(messages, success) {
+        setResult({ ok: null, text: "Publishing..." });
+        try {
+            await onPublish(messages);
+            setResult({ ok: true, text: success });
+        } catch (err) {
+            setResult({ ok: false, text: "Unable to publish: " + err.message });
+        }
+    }
+
+    return [result, publish];
+}
+
+// Show the outcome of the last attempt to publish
+function PublishResult(props) {
+    const { result } = props;
+    if (!result) return null;
+    const className = result.ok === true ? "success" : result.ok === false ? "error" : undefined;
+    return <p className={className}>{result.text}</p>;
+}
+
+PublishResult.propTypes = {
+    result: PropTypes.shape({
+        ok: PropTypes.bool,
+        text: PropTypes.string,
+    }),
+};
+
+/**
+ * React function component that publishes, schedules, and cancels status
+ * messages.
+ *
+ * @param {object} props
+ * @param {object|null} props.status - The status last published. See
+ *   statusMessages.js for what it holds.
+ * @param {Array<object>} props.history - Earlier ones, newest first
+ * @param {Array<object>} props.scheduled - The scheduled ones
+ * @param {function(Array<{topic: string, payload: string}>): Promise}
+ *   props.onPublish - Called to publish retained messages
+ * @returns {JSX.Element}
+ */
+export function StatusAdmin(props) {
+    const { status, history, scheduled, onPublish } = props;
+    const [result, publish] = usePublish(onPublish);
+    const now = useNow(60);
+
+    // This is fired when the form is submitted
+    function handleStatusUpdate(event) {
+        event.preventDefault(); // Prevent the default form submission behavior
+        const formData = new FormData(event.target);
+        const now = Date.now();
+        const publishAt = formData.get("publish_at");
+        const expires = formData.get("expires");
+        const newStatus = {
+            // Newlines are not kept
+            text: formData.get("new_status").replace(/\s*\n\s*/g, " "),
+            author: formData.get("author") || null,
+            timestamp: publishAt ? dayjs(publishAt).valueOf() : now,
+            expires: expires ? dayjs(expires).valueOf() : null,
+            severity: formData.get("severity"),
+        };
+
+        if (newStatus.timestamp > now) {
+            publish([{
+                topic: statusOptions.scheduledTopic,
+                payload: JSON.stringify([...scheduled, newStatus]
+                    .sort((a, b) => a.timestamp - b.timestamp)),
+            }], "Scheduled for " + dayjs(newStatus.timestamp).format("YYYY-MM-DD HH:mm") + ".");
+            return;
+        }
+
+        // What is showing now, including any scheduled status that has come
+        // due, goes into the history. Scheduled ones that have come due are
+        // no longer scheduled.
+        const effective = getEffectiveStatus(status, history, scheduled, now);
+        const newHistory = [effective.current, ...effective.history]
+            .filter((s) => s != null)
+            .slice(0, statusOptions.historyLength);
+        publish([
+            { topic: statusOptions.historyTopic, payload: JSON.stringify(newHistory) },
+            { topic: statusOptions.topic, payload: JSON.stringify(newStatus) },
+            {
+                topic: statusOptions.scheduledTopic,
+                payload: JSON.stringify(scheduled.filter((s) => s.timestamp > now)),
+            },
+        ], "Published.");
+    }
+
+    function handleCancel(index) {
+        publish([{
+            topic: statusOptions.scheduledTopic,
+            payload: JSON.stringify(scheduled.filter((s, i) => i !== index)),
+        }], "Cancelled.");
+    }
+
+    const effective = getEffectiveStatus(status, history, scheduled, now);
+    const pending = scheduled.filter((s) => s.timestamp > now);
+
+    return (
+        <details className="settings" open>
+            <summary><strong>Status</strong></summary>
+            <p><strong><em>Present status:</em></strong></p>
+            <div className="status-line">
+                <StatusPanel status={effective.current}
+                             history={effective.history}
+                             now={now} />
+            </div>
+
+            {pending.length > 0 && (
+                <>
+                    <p><strong><em>Scheduled:</em></strong></p>
+                    <ul className="status-line">
+                        {pending.map((s) => (
+                            <li key={s.timestamp + s.text}>
+                                {dayjs(s.timestamp).format("YYYY-MM-DD HH:mm")}: {s.text}{" "}
+                                <button onClick={() => handleCancel(scheduled.indexOf(s))}>
+                                    Cancel
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+
+            <form onSubmit={handleStatusUpdate}>
+                <p><strong><em><label htmlFor="new_status">New
+                    status: </label></em></strong></p>
+                <textarea className="status-line" id="new_status"
+                          name="new_status" rows={5} cols={80}
+                          defaultValue={status?.text} required />
+                <p>Only pure text is accepted: no HTML. Any newlines will be
+                    ignored.</p>
+                <label htmlFor="author">Your name: </label>
+                <input type="text" id="author" name="author" maxLength={30} /><br /><br />
+                <label htmlFor="severity">Severity: </label>
+                <select id="severity" name="severity">
+                    {statusOptions.severities.map((s) => (
+                        <option key={s} value={s}>{s}</option>
+                    ))}
+                </select><br /><br />
+                <label htmlFor="expires">Expires (optional): </label>
+                <input type="datetime-local" id="expires" name="expires" /><br /><br />
+                <label htmlFor="publish_at">Publish at (optional, leave empty for
+                    now): </label>
+                <input type="datetime-local" id="publish_at" name="publish_at" /><br /><br />
+                <button type="submit">Submit</button>
+            </form>
+            <PublishResult result={result} />
+        </details>
+    );
+}
+
+StatusAdmin.propTypes = {
+    status: PropTypes.object,
+    history: PropTypes.arrayOf(PropTypes.object),
+    scheduled: PropTypes.arrayOf(PropTypes.object),
+    onPublish: PropTypes.func,
+};
+
+/**
+ * React function component that sets and removes the anchor watch shared
+ * with every viewer.
+ *
+ * @param {object} props
+ * @param {object|null} props.watch - The shared anchor watch, or null if
+ *   there is none. See anchor.js for what it holds.
+ * @param {Object<string, {lat: number, lng: number}>} props.positions - The
+ *   latest position of each vessel, keyed by context
+ * @param {function(Array<{topic: string, payload: string}>): Promise}
+ *   props.onPublish - Called to publish retained messages
+ * @returns {JSX.Element}
+ */
+export function AnchorAdmin(props) {
+    const { watch, positions, onPublish } = props;
+    const [result, publish] = usePublish(onPublish);
+    const [radius, setRadius] = useState(anchorOptions.defaultRadius);
+    const contexts = Object.keys(positions);
+    const [picked, setPicked] = useState(null);
+    const context = contexts.includes(picked) ? picked : contexts[0];
+
+    function handleSet() {
+        publish([{
+            topic: anchorOptions.topic,
+            payload: JSON.stringify({
+                context,
+                ...positions[context],
+                radius,
+                set_at: Date.now(),
+            }),
+        }], "Anchor watch set.");
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Anchor watch</strong></summary>
+            {(watch && (
+                <p>
+                    {getVesselInfo(watch.context).name} is
+                    watched, with a swing radius
+                    of {formatValue(watch.radius, "group_depth", "meter")}
+                    {watch.set_at && <>, since {dayjs(watch.set_at).format("YYYY-MM-DD HH:mm")}</>}.{" "}
+                    <button onClick={() => publish([{ topic: anchorOptions.topic, payload: "" }],
+                        "Anchor watch removed.")}>
+                        Remove
+                    </button>
+                </p>
+            )) || <p>There is no anchor watch.</p>}
+            {(contexts.length && (
+                <p>
+                    <label htmlFor="anchor-vessel">Vessel: </label>
+                    <select id="anchor-vessel" value={context}
+                            onChange={(e) => setPicked(e.target.value)}>
+                        {contexts.map((c) => (
+                            <option key={c} value={c}>{getVesselInfo(c).name}</option>
+                        ))}
+                    </select>{" "}
+                    <label htmlFor="anchor-radius">Swing radius (meters): </label>
+                    <input type="number" id="anchor-radius" min={1} step={1}
+                           value={radius}
+                           onChange={(e) => setRadius(Number(e.target.value))} />{" "}
+                    <button onClick={handleSet} disabled={!(radius > 0)}>
+                        Drop anchor where it is
+                    </button>
+                </p>
+            )) || <p>Waiting for a vessel position...</p>}
+            <PublishResult result={result} />
+        </details>
+    );
+}
+
+AnchorAdmin.propTypes = {
+    watch: PropTypes.shape({
+        context: PropTypes.string,
+        radius: PropTypes.number,
+        set_at: PropTypes.number,
+    }),
+    positions: PropTypes.objectOf(PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    })),
+    onPublish: PropTypes.func,
+};
+
+/**
+ * React function component that sets and clears the destination shown to
+ * every viewer.
+ *
+ * @param {object} props
+ * @param {object|null} props.destination - The destination, or null if there
+ *   is none. See destination.js for what it holds.
+ * @param {function(Array<{topic: string, payload: string}>): Promise}
+ *   props.onPublish - Called to publish retained messages
+ * @returns {JSX.Element}
+ */
+export function DestinationAdmin(props) {
+    const { destination, onPublish } = props;
+    const [result, publish] = usePublish(onPublish);
+
+    function handleSet(event) {
+        event.preventDefault();
+        const formData = new FormData(event.target);
+        publish([{
+            topic: destinationOptions.topic,
+            payload: JSON.stringify({
+                name: formData.get("dest_name"),
+                lat: Number(formData.get("dest_lat")),
+                lng: Number(formData.get("dest_lng")),
+                set_at: Date.now(),
+            }),
+        }], "Destination set.");
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Destination</strong></summary>
+            {(destination && (
+                <p>
+                    {destination.name}: {formatLatLon(destination.lat, "group_latitude", "dd.dd")},{" "}
+                    {formatLatLon(destination.lng, "group_longitude", "dd.dd")}{" "}
+                    <button onClick={() => publish([{ topic: destinationOptions.topic, payload: "" }],
+                        "Destination cleared.")}>
+                        Clear
+                    </button>
+                </p>
+            )) || <p>There is no destination.</p>}
+            <form onSubmit={handleSet}>
+                <label htmlFor="dest_name">Name: </label>
+                <input type="text" id="dest_name" name="dest_name" maxLength={40}
+                       required />{" "}
+                <label htmlFor="dest_lat">Latitude: </label>
+                <input type="number" id="dest_lat" name="dest_lat" step="any"
+                       min={-90} max={90} required style={{ width: "8em" }} />{" "}
+                <label htmlFor="dest_lng">Longitude: </label>
+                <input type="number" id="dest_lng" name="dest_lng" step="any"
+                       min={-180} max={180} required style={{ width: "8em" }} />{" "}
+                <button type="submit">Set destination</button>
+            </form>
+            <p>Give the position in decimal degrees, negative for south and
+                west.</p>
+            <PublishResult result={result} />
+        </details>
+    );
+}
+
+DestinationAdmin.propTypes = {
+    destination: PropTypes.shape({
+        name: PropTypes.string,
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    }),
+    onPublish: PropTypes.func,
+};
+
+/**
+ * React function component that sets the display settings shared with every
+ * viewer.
+ *
+ * @param {object} props
+ * @param {{unitPreset?: string, trackWindow?: number}} props.settings - The
+ *   display settings now published. See display.js for what they hold.
+ * @param {function(Array<{topic: string, payload: string}>): Promise}
+ *   props.onPublish - Called to publish retained messages
+ * @returns {JSX.Element}
+ */
+export function DisplayAdmin(props) {
+    const { settings, onPublish } = props;
+    const [result, publish] = usePublish(onPublish);
+
+    function handleSave(event) {
+        event.preventDefault();
+        const formData = new FormData(event.target);
+        const unitPreset = formData.get("unit_preset");
+        const trackWindow = formData.get("track_window");
+        publish([{
+            topic: displayOptions.topic,
+            payload: JSON.stringify({
+                ...(unitPreset && { unitPreset }),
+                ...(trackWindow && { trackWindow: Number(trackWindow) }),
+            }),
+        }], "Display settings saved.");
+    }
+
+    // The form starts over whenever new settings are published, so it shows
+    // them
+    return (
+        <details className="settings">
+            <summary><strong>Display settings</strong></summary>
+            <form key={JSON.stringify(settings)} onSubmit={handleSave}>
+                <label htmlFor="unit_preset">Units, for viewers who have not
+                    picked their own: </label>
+                <select id="unit_preset" name="unit_preset"
+                        defaultValue={settings.unitPreset || ""}>
+                    <option value="">As configured</option>
+                    {Object.keys(unitPresets).map((preset) => (
+                        <option key={preset} value={preset}>{preset}</option>
+                    ))}
+                </select><br /><br />
+                <label htmlFor="track_window">Track to show: </label>
+                <select id="track_window" name="track_window"
+                        defaultValue={settings.trackWindow ?? ""}>
+                    <option value="">As configured</option>
+                    {trackOptions.windows.map((w, i) => (
+                        <option key={w.label} value={i}>{w.label}</option>
+                    ))}
+                </select><br /><br />
+                <button type="submit">Save</button>
+            </form>
+            <PublishResult result={result} />
+        </details>
+    );
+}
+
+DisplayAdmin.propTypes = {
+    settings: PropTypes.shape({
+        unitPreset: PropTypes.string,
+        trackWindow: PropTypes.number,
+    }),
+    onPublish: PropTypes.func,
+};
@@ -0,0 +1,193 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { alarmOptions, tableOptions } from "../flyer.config.js";
+import { describeRule, needsAttention, operators } from "./alarms.js";
+import { requestNotificationPermission } from "./alerts.js";
+import {
+    conversionDict,
+    getDisplayUnit,
+    getPathLabel,
+    getSignalKUnit,
+    unitNames,
+} from "./units.js";
+import "./App.css";
+
+/**
+ * React function component that lists the alarms that have been raised, with
+ * buttons to acknowledge or snooze each one.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.alarms - The alarms. See alarms.js for what
+ *   each holds.
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch
+ * @param {function(string)} props.onAcknowledge - Called with the key of an
+ *   alarm to acknowledge
+ * @param {function(string, number)} props.onSnooze - Called with the key of
+ *   an alarm, and how long to snooze it in seconds
+ * @returns {JSX.Element|null}
+ */
+export function AlarmList(props) {
+    const { alarms, now, onAcknowledge, onSnooze } = props;
+
+    if (!alarms.length) return null;
+
+    return (
+        <div className="alarm-list">
+            <h2>Alarms</h2>
+            {alarms.map((alarm) => (
+                <p key={alarm.key}
+                   className={needsAttention(alarm, now) ? "alarm-banner" : undefined}>
+                    {alarm.message}{" "}
+                    <span className="tty">since {dayjs(alarm.since).format("HH:mm")}</span>{" "}
+                    {(alarm.acknowledged && <em>acknowledged</em>) || (
+                        <>
+                            <button onClick={() => onAcknowledge(alarm.key)}>
+                                Acknowledge
+                            </button>{" "}
+                            {alarm.snoozedUntil > now &&
+                                <em>snoozed until {dayjs(alarm.snoozedUntil).format("HH:mm")} </em>}
+                            <select value=""
+                                    onChange={(e) => onSnooze(alarm.key,
+                                        Number(e.target.value))}>
+                                <option value="" disabled>Snooze...</option>
+                                {alarmOptions.snoozeChoices.map((choice) => (
+                                    <option key={choice.label} value={choice.length}>
+                                        {choice.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </>
+                    )}
+                </p>
+            ))}
+        </div>
+    );
+}
+
+AlarmList.propTypes = {
+    alarms: PropTypes.arrayOf(PropTypes.object),
+    now: PropTypes.number,
+    onAcknowledge: PropTypes.func,
+    onSnooze: PropTypes.func,
+};
+
+// The units a rule for a path can be written in: the SignalK unit, and
+// anything it can be converted to.
+function getRuleUnits(path) {
+    const unit = getSignalKUnit(path);
+    return [unit, ...Object.keys(conversionDict[unit] || {})];
+}
+
+// The unit a rule for a path starts out in: the one the path is displayed
+// in, if a rule can be written in it
+function getStartUnit(path) {
+    const units = getRuleUnits(path);
+    const displayUnit = getDisplayUnit(path);
+    return units.includes(displayUnit) ? displayUnit : units[0];
+}
+
+// The paths a rule can be written for: those with a numeric unit that can
+// be converted. Positions and times cannot.
+function getRulePaths() {
+    return tableOptions.order.filter((p) => conversionDict[getSignalKUnit(p)]);
+}
+
+/**
+ * React function component that lets the user write and remove alarm rules.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.rules - The rules. See alarms.js for what each
+ *   holds.
+ * @param {function(Array<object>)} props.onChange - Called with the new rules
+ * @returns {JSX.Element}
+ */
+export function AlarmRules(props) {
+    const { rules, onChange } = props;
+    const rulePaths = getRulePaths();
+    const [path, setPath] = useState(rulePaths[0]);
+    const [operator, setOperator] = useState("<");
+    const [threshold, setThreshold] = useState("");
+    const [unit, setUnit] = useState(() => getStartUnit(path));
+    // For "drop" and "rise", in minutes
+    const [windowLength, setWindowLength] = useState(180);
+
+    function handlePath(newPath) {
+        setPath(newPath);
+        setUnit(getStartUnit(newPath));
+    }
+
+    function handleAdd(event) {
+        event.preventDefault();
+        // This is a good time to ask, since the user just clicked
+        requestNotificationPermission();
+        onChange([...rules, {
+            id: String(Date.now()),
+            path,
+            operator,
+            threshold: Number(threshold),
+            unit,
+            window: windowLength * 60,
+        }]);
+        setThreshold("");
+    }
+
+    const hasWindow = operator === "drop" || operator === "rise";
+
+    return (
+        <details className="settings">
+            <summary><strong>Alarm rules</strong></summary>
+            {rules.map((rule) => (
+                <p key={rule.id}>
+                    {describeRule(rule)}{" "}
+                    <button onClick={() => onChange(rules.filter((r) => r !== rule))}>
+                        Remove
+                    </button>
+                </p>
+            ))}
+            <form onSubmit={handleAdd}>
+                <select value={path} onChange={(e) => handlePath(e.target.value)}>
+                    {rulePaths.map((p) => (
+                        <option key={p} value={p}>{getPathLabel(p)}</option>
+                    ))}
+                </select>{" "}
+                <select value={operator} onChange={(e) => setOperator(e.target.value)}>
+                    {Object.entries(operators).map(([op, words]) => (
+                        <option key={op} value={op}>{words}</option>
+                    ))}
+                </select>{" "}
+                <input type="number" step="any" required style={{ width: "6em" }}
+                       value={threshold}
+                       onChange={(e) => setThreshold(e.target.value)} />{" "}
+                <select value={unit} onChange={(e) => setUnit(e.target.value)}>
+                    {getRuleUnits(path).map((u) => (
+                        <option key={u} value={u}>{unitNames[u] || u}</option>
+                    ))}
+                </select>{" "}
+                {hasWindow && (
+                    <>
+                        in <input type="number" min={1} required style={{ width: "5em" }}
+                                  value={windowLength}
+                                  onChange={(e) => setWindowLength(Number(e.target.value))} />
+                        {" "}minutes{" "}
+                    </>
+                )}
+                <button type="submit">Add rule</button>
+            </form>
+        </details>
+    );
+}
+
+AlarmRules.propTypes = {
+    rules: PropTypes.arrayOf(PropTypes.object),
+    onChange: PropTypes.func,
+};
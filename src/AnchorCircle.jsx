@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { Circle, Marker } from "./maps";
+
+/**
+ * Component that draws the anchor position and its swing circle. The circle
+ * turns red when the anchor is dragging.
+ *
+ * @param {object} props
+ * @param {{lat: number, lng: number, radius: number}} props.watch - The
+ *   anchor watch. The radius is in meters.
+ * @param {boolean} props.dragging - True if the boat is outside the circle
+ * @returns {JSX.Element}
+ */
+export const AnchorCircle = (props) => {
+    const { watch, dragging } = props;
+    const position = { lat: watch.lat, lng: watch.lng };
+
+    return (
+        <>
+            <Circle center={position}
+                    radius={watch.radius}
+                    color={dragging ? "red" : "#023755"}
+                    fillOpacity={0.1} />
+            <Marker position={position} title="Anchor">
+                <div style={{ transform: "translate(0px,10px)", fontSize: "20px" }}>
+                    ⚓
+                </div>
+            </Marker>
+        </>
+    );
+};
+
+AnchorCircle.propTypes = {
+    watch: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+        radius: PropTypes.number,
+    }),
+    dragging: PropTypes.bool,
+};
@@ -0,0 +1,133 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+import { anchorOptions } from "../flyer.config.js";
+import { requestNotificationPermission } from "./alerts.js";
+import { formatValue } from "./units.js";
+import "./App.css";
+
+/**
+ * React function component that sets and clears an anchor watch.
+ *
+ * @param {object} props
+ * @param {object|null} props.watch - The anchor watch, or null if there is none
+ * @param {{distance: number, dragging: boolean}|null} props.check - How far
+ *   the boat is from its anchor, or null if not known
+ * @param {{lat: number, lng: number}|null} props.boatPosition - Where the
+ *   boat is now
+ * @param {function(object|null)} props.onChange - Called with a new watch,
+ *   or null to clear it
+ * @param {function(object|null): Promise} [props.onShare] - Called to share a
+ *   watch, or its removal, with every viewer. If not given, as when the
+ *   transport cannot publish, the watch cannot be shared.
+ * @returns {JSX.Element}
+ */
+export function AnchorPanel(props) {
+    const { watch, check, boatPosition, onChange, onShare } = props;
+    const [radius, setRadius] = useState(anchorOptions.defaultRadius);
+    // Result of the last attempt to share
+    const [shareResult, setShareResult] = useState(null);
+
+    function handleSet() {
+        // This is a good time to ask, since the user just clicked
+        requestNotificationPermission();
+        onChange({ ...boatPosition, radius, set_at: Date.now() });
+    }
+
+    async function handleShare(newWatch) {
+        try {
+            await onShare(newWatch);
+            setShareResult(newWatch ? "Shared with every viewer." : "Removed for every viewer.");
+        } catch (err) {
+            setShareResult("Unable to share: " + err.message);
+        }
+    }
+
+    return (
+        <details className="settings" open={watch != null}>
+            <summary><strong>Anchor watch</strong></summary>
+            {(watch && (
+                <>
+                    <p>
+                        Swing radius {formatValue(watch.radius, "group_depth", "meter")}.
+                        {check && (
+                            <> The boat is {formatValue(check.distance,
+                                "group_depth", "meter")} from the anchor.</>
+                        )}
+                    </p>
+                    <button onClick={() => onChange(null)}>Clear</button>{" "}
+                    <button onClick={() => handleShare(watch)} disabled={!onShare}>
+                        Share
+                    </button>{" "}
+                    <button onClick={() => handleShare(null)} disabled={!onShare}>
+                        Unshare
+                    </button>
+                </>
+            )) || (
+                <p>
+                    <label htmlFor="anchor-radius">Swing radius (meters): </label>
+                    <input type="number" id="anchor-radius" min={1} step={1}
+                           value={radius}
+                           onChange={(e) => setRadius(Number(e.target.value))} />{" "}
+                    <button onClick={handleSet} disabled={!boatPosition || !(radius > 0)}>
+                        Drop anchor here
+                    </button>
+                </p>
+            )}
+            {shareResult && <p>{shareResult}</p>}
+        </details>
+    );
+}
+
+AnchorPanel.propTypes = {
+    watch: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+        radius: PropTypes.number,
+    }),
+    check: PropTypes.shape({
+        distance: PropTypes.number,
+        dragging: PropTypes.bool,
+    }),
+    boatPosition: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    }),
+    onChange: PropTypes.func,
+    onShare: PropTypes.func,
+};
+
+/**
+ * React function component that shows the anchor alarm.
+ *
+ * @param {object} props
+ * @param {string} props.name - Name of the vessel that is dragging
+ * @param {number} props.distance - How far it is from its anchor, in meters
+ * @param {boolean} props.silenced - True if the alarm has been silenced
+ * @param {function()} props.onSilence - Called to silence the alarm
+ * @returns {JSX.Element}
+ */
+export function AnchorAlarm(props) {
+    const { name, distance, silenced, onSilence } = props;
+    return (
+        <p className="alarm-banner">
+            ANCHOR ALARM: {name} is {formatValue(distance, "group_depth", "meter")} from
+            its anchor, outside its swing circle.{" "}
+            {!silenced && <button onClick={onSilence}>Silence</button>}
+        </p>
+    );
+}
+
+AnchorAlarm.propTypes = {
+    name: PropTypes.string,
+    distance: PropTypes.number,
+    silenced: PropTypes.bool,
+    onSilence: PropTypes.func,
+};
@@ -5,56 +5,229 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { useEffect, useState } from "react";
-import { APIProvider, Map } from "@vis.gl/react-google-maps";
-import mqtt from "mqtt";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import PropTypes from "prop-types";
 
 import {
+    FleetState,
     FormattedState,
+    getContext,
+    getDeltaTopics,
     getLatLng,
     getUpdateDicts,
-    VesselState,
+    getUpdatePosition,
+    getVesselInfo,
+    isStale,
+    isFleetContext,
+    mergeMotion,
 } from "./utilities.js";
+import { useNow } from "./hooks.js";
+import { loadCachedState, saveCachedState } from "./cache.js";
+import { StatusPanel } from "./StatusPanel";
+import {
+    getEffectiveStatus,
+    parseStatus,
+    parseStatusList,
+} from "./statusMessages.js";
+import {
+    getUnitSettings,
+    setDefaultPreset,
+    setUnitSettings,
+} from "./units.js";
 import { VesselTable } from "./VesselTable";
 import { About } from "./About";
 import { BoatMarker } from "./BoatMarker";
 import { FollowBoatControl } from "./FollowBoat";
-import { google_key } from "./google-api-key.js";
-import { boatOptions, mqttOptions } from "../flyer.config.js";
+import { VesselPicker } from "./VesselPicker";
+import { ConnectionBanner } from "./ConnectionBanner";
+import { SettingsPanel } from "./SettingsPanel";
+import { ReplayControls, ReplayLoader } from "./ReplayPanel";
+import { RecorderControl } from "./RecorderControl";
+import { ExportControl } from "./ExportControl";
+import { TrafficMarker } from "./TrafficMarker";
+import { TrafficTable } from "./TrafficTable";
+import { assessTargets, TrafficState } from "./traffic.js";
+import { AnchorCircle } from "./AnchorCircle";
+import { AnchorAlarm, AnchorPanel } from "./AnchorPanel";
+import {
+    checkAnchor,
+    loadAnchorWatch,
+    parseAnchorWatch,
+    saveAnchorWatch,
+} from "./anchor.js";
+import { sendNotification, soundAlarm } from "./alerts.js";
+import { AlarmList, AlarmRules } from "./AlarmPanel";
+import {
+    loadAlarms,
+    loadRules,
+    mergeNotifications,
+    needsAttention,
+    runRules,
+    saveAlarms,
+    saveRules,
+} from "./alarms.js";
+import {
+    addRecord,
+    countRecords,
+    isRecording,
+    setRecording,
+} from "./recorder.js";
+import { RouteLine } from "./RouteLine";
+import { RouteControl } from "./RouteControl";
+import { RulerControl } from "./RulerControl";
+import { RoutePanel } from "./RoutePanel";
+import {
+    advanceRoute,
+    getRouteUpdates,
+    loadRoute,
+    saveRoute,
+} from "./route.js";
+import { applyConfigOverride } from "./config.js";
+import { getDerivedUpdates } from "./derived.js";
+import { CurrentWindow, getCurrentUpdates } from "./current.js";
+import { getLaylines, getPolarUpdates, loadPolar, savePolar } from "./polar.js";
+import { PolarPanel } from "./PolarPanel";
+import { Laylines } from "./Laylines";
+import { getRateOfTurn } from "./predict.js";
+import { PredictControl } from "./PredictControl";
+import { WindHistory } from "./WindHistory";
+import { canPublish, connect, describeConnection } from "./transports";
+import { DestinationMarker } from "./DestinationMarker";
+import { getDestinationRoute, parseDestination } from "./destination.js";
+import { parseDisplaySettings } from "./display.js";
+import { TrackLine } from "./TrackLine";
+import { TrackControl } from "./TrackControl";
+import { loadTrack, saveTrack, Track } from "./track.js";
+import { MapView } from "./maps";
+import {
+    aisOptions,
+    anchorOptions,
+    cacheOptions,
+    configOptions,
+    destinationOptions,
+    displayOptions,
+    mapOptions,
+    mqttOptions,
+    predictOptions,
+    staleOptions,
+    statusOptions,
+    trackOptions,
+    unitOptions,
+} from "../flyer.config.js";
 import "./App.css";
 
 
 function App() {
     // client is the MQTT connection.
     const [client, setClient] = useState(null);
-    // vesselState holds the current values. They are unformatted.
-    const [vesselState, setVesselState] = useState(new VesselState());
-    // formattedState holds the current values as formatted strings.
-    const [formattedState, setFormattedState] = useState(new FormattedState());
-    // Current status
-    const [status, setStatus] = useState(boatOptions.defaultStatus);
+    // State of the MQTT connection. One of "connecting", "online",
+    // "reconnecting", or "offline".
+    const [connectionState, setConnectionState] = useState("connecting");
+    // The last known state, saved before the page was loaded. It is shown
+    // until live data arrives, then set to null.
+    const [cachedState, setCachedState] = useState(loadCachedState);
+    // fleetState holds the current values of every vessel, keyed by its
+    // SignalK context. Each has both unformatted and formatted values.
+    const [fleetState, setFleetState] = useState(
+        () => cachedState?.fleetState || new FleetState());
+    // trafficState holds the AIS targets, keyed by their SignalK context.
+    const [trafficState, setTrafficState] = useState(new TrafficState());
+    // The context of the vessel picked by the user. Null if none has been
+    // picked yet.
+    const [selectedContext, setSelectedContext] = useState(null);
+    // The status last published, or null if there is none. See
+    // statusMessages.js for what it holds.
+    const [status, setStatus] = useState(() => parseStatus(cachedState?.status));
+    // Earlier status messages, newest first
+    const [statusHistory, setStatusHistory] = useState([]);
+    // Status messages scheduled for the future
+    const [scheduledStatuses, setScheduledStatuses] = useState([]);
+    // The past positions of each vessel, keyed by context. A vessel's track
+    // is restored from browser storage when it is first heard from, or when
+    // its last known state is restored.
+    const [tracks, setTracks] = useState(() => Object.fromEntries(
+        Object.keys(cachedState?.fleetState || {})
+            .map((context) => [context, loadTrack(context)])));
+    // Which time window of the track to show
+    const [trackWindow, setTrackWindow] = useState(trackOptions.defaultWindow);
+    // How far ahead to predict each vessel's path, as an index into
+    // predictOptions.durations, and whether to show its heading line
+    const [predictDuration, setPredictDuration] = useState(predictOptions.defaultDuration);
+    const [showHeading, setShowHeading] = useState(predictOptions.showHeading);
+    // Which units to display
+    const [unitSettings, setUnitSettingsState] = useState(getUnitSettings);
+    // The log being replayed, or null if showing live data. It looks like
+    // {entries: [...], name: "passage.jsonl"}
+    const [replay, setReplay] = useState(null);
+    // The time reached by the replay, in milliseconds since the unix epoch
+    const [replayTime, setReplayTime] = useState(null);
+    // Whether a replay is running. This is a ref, so the message handler
+    // always sees the latest value.
+    const replayingRef = useRef(false);
+    // The latest speed, course, and heading of each vessel, keyed by
+    // context. They are attached to each point of its track.
+    const motionRef = useRef({});
+    // The current worked out for each vessel over a time window, keyed by
+    // context
+    const currentRef = useRef({});
+    // When the last known state was last saved
+    const lastSavedRef = useRef(0);
+    // Whether the live data is being captured. The ref is for the message
+    // handler.
+    const [recording, setRecordingState] = useState(isRecording);
+    const recordingRef = useRef(recording);
+    // How many messages have been captured
+    const [recordCount, setRecordCount] = useState(0);
+    // The anchor watch, or null if there is none
+    const [anchorWatch, setAnchorWatch] = useState(loadAnchorWatch);
+    // Whether the anchor alarm has been silenced
+    const [anchorSilenced, setAnchorSilenced] = useState(false);
+    // The alarm rules written by the user
+    const [alarmRules, setAlarmRules] = useState(loadRules);
+    // The alarms raised by the rules, or by SignalK notifications, keyed by
+    // alarm key
+    const [alarms, setAlarms] = useState(loadAlarms);
+    // The route, and the waypoint the selected vessel is steering for
+    const [route, setRoute] = useState(loadRoute);
+    // The boat's polar diagram, or null if none has been loaded
+    const [polar, setPolar] = useState(loadPolar);
+    // What clicking the map does. One of null, "route" (drop a waypoint), or
+    // "ruler" (add a point to measure to).
+    const [mapTool, setMapTool] = useState(null);
+    // The destination set in the admin console, or null if there is none
+    const [destination, setDestination] = useState(null);
+    // What is wrong with the configuration published on configOptions.topic.
+    // Empty if nothing.
+    const [configErrors, setConfigErrors] = useState([]);
 
     // Because this app relies on an external connection to the MQTT broker,
-    // internal state must be synchronized in a "useEffect" function. Set up
-    // the connection and subscriptions.
+    // or the SignalK server, internal state must be synchronized in a
+    // "useEffect" function. Set up the connection and subscriptions.
     useEffect(() => {
-        // Connect to the broker.
-        const client = mqtt.connect(mqttOptions.brokerUrl, {
+        // Connect to the broker, or the SignalK server.
+        const client = connect({
             clientId: mqttOptions.clientId,
             username: mqttOptions.username,
             password: mqttOptions.password,
         });
         setClient(client);
         console.log(
-            "Connected to broker",
-            mqttOptions.brokerUrl,
+            "Connected to",
+            describeConnection(),
             "as client",
             mqttOptions.clientId,
         );
 
         // Subscribe to the topics we care about
-        client.subscribe("signalk/delta");
-        client.subscribe("status");
+        client.subscribe(getDeltaTopics());
+        client.subscribe([
+            statusOptions.topic,
+            statusOptions.historyTopic,
+            statusOptions.scheduledTopic,
+        ]);
+        client.subscribe(anchorOptions.topic);
+        client.subscribe([destinationOptions.topic, displayOptions.topic]);
+        client.subscribe(configOptions.topic);
 
         // Return a function that will get called when it's time to clean up.
         return () => {
@@ -68,43 +241,383 @@ function App() {
         // Explicitly list no dependencies. This will cause this "useEffect()" to get run only once.
     }, []);
 
+    // Set or clear the anchor watch
+    const handleAnchorWatch = useCallback((watch) => {
+        // A watch set against a replay is not kept
+        if (!replayingRef.current) saveAnchorWatch(watch);
+        setAnchorWatch(watch);
+        setAnchorSilenced(false);
+    }, []);
+
+    // Apply the display settings set in the admin console. The units only
+    // change for a viewer who has not picked their own. A setting left out
+    // goes back to the one configured.
+    const handleDisplaySettings = useCallback((settings) => {
+        if (setDefaultPreset(settings.unitPreset || unitOptions.defaultPreset)) {
+            setUnitSettingsState(getUnitSettings());
+            setFleetState((f) => new FleetState(f).reformat());
+        }
+        setTrackWindow(settings.trackWindow ?? trackOptions.defaultWindow);
+    }, []);
+
+    // Merge a message into the internal state. Messages come from either the
+    // broker or a replay.
+    const handleMessage = useCallback((topic, payload) => {
+        if (topic === statusOptions.topic) {
+            setStatus(parseStatus(payload));
+        } else if (topic === statusOptions.historyTopic) {
+            setStatusHistory(parseStatusList(payload));
+        } else if (topic === statusOptions.scheduledTopic) {
+            setScheduledStatuses(parseStatusList(payload));
+        } else if (topic === anchorOptions.topic) {
+            // An anchor watch shared by another viewer
+            handleAnchorWatch(parseAnchorWatch(payload));
+        } else if (topic === destinationOptions.topic) {
+            setDestination(parseDestination(payload));
+        } else if (topic === displayOptions.topic) {
+            handleDisplaySettings(parseDisplaySettings(payload));
+        } else if (topic === configOptions.topic) {
+            // Setting the errors, even to none, draws everything again with
+            // the new configuration
+            setConfigErrors(applyConfigOverride(payload));
+        } else {
+            let context, updateDicts;
+            try {
+                const signalk_obj = JSON.parse(payload);
+                context = getContext(signalk_obj);
+                updateDicts = getUpdateDicts(signalk_obj);
+            } catch (err) {
+                // Skip it, rather than stop taking in messages
+                console.error("Bad SignalK delta:", err);
+                return;
+            }
+            // Any other vessel is AIS traffic
+            if (!isFleetContext(context)) {
+                if (aisOptions.enabled) {
+                    setTrafficState(
+                        (t) => new TrafficState(t).mergeUpdates(context, updateDicts),
+                    );
+                }
+                return;
+            }
+            // Live data replaces the last known state
+            setCachedState(null);
+            // SignalK notifications go to the alarms, rather than the state
+            const notifications = updateDicts.filter(
+                (u) => u.key.startsWith("notifications."));
+            if (notifications.length) {
+                setAlarms((a) => mergeNotifications(a, context, notifications,
+                    Date.now()));
+                updateDicts = updateDicts.filter(
+                    (u) => !u.key.startsWith("notifications."));
+            }
+            const currentWindow = new CurrentWindow(currentRef.current[context])
+                .mergeUpdates(updateDicts);
+            currentRef.current[context] = currentWindow;
+            setFleetState((f) => {
+                const fleet = new FleetState(f).mergeUpdates(context, updateDicts);
+                // Fill in what the boat does not send, such as the true wind
+                const vesselState = fleet[context].vesselState;
+                const derived = [
+                    ...getDerivedUpdates(vesselState, updateDicts),
+                    ...getCurrentUpdates(currentWindow, vesselState),
+                ];
+                return derived.length ? fleet.mergeUpdates(context, derived) : fleet;
+            });
+            const motion = mergeMotion(motionRef.current[context], updateDicts);
+            motionRef.current[context] = motion;
+            const position = getUpdatePosition(updateDicts);
+            if (position) {
+                // A replay starts with an empty track, rather than the
+                // saved one.
+                setTracks((t) => ({
+                    ...t,
+                    [context]: new Track(t[context] ||
+                        (replayingRef.current ? null : loadTrack(context)))
+                        .addPosition(position, motion),
+                }));
+            }
+        }
+    }, [handleAnchorWatch, handleDisplaySettings]);
+
     // This useEffect() is used to synchronize between an arrival of a message
     // and the internal state.
     useEffect(() => {
         if (client) {
             client.on("message", function(topic, message) {
-                if (topic === "status") {
-                    setStatus(message.toString());
-                } else {
-                    const updateDicts = getUpdateDicts(JSON.parse(message.toString()));
-                    setVesselState((v) => new VesselState(v.mergeUpdates(updateDicts)));
-                    setFormattedState(
-                        (f) => new FormattedState(f.mergeUpdates(updateDicts)),
-                    );
+                const payload = message.toString();
+                if (recordingRef.current) {
+                    addRecord({ time: Date.now(), topic, payload })
+                        .then(() => setRecordCount((c) => c + 1))
+                        .catch((err) => console.error("Unable to record:", err));
+                }
+                // Live data is ignored during a replay
+                if (!replayingRef.current) {
+                    handleMessage(topic, payload);
                 }
             });
+            client.on("connect", () => setConnectionState("online"));
+            client.on("reconnect", () => setConnectionState("reconnecting"));
+            client.on("close", () => setConnectionState("offline"));
+            client.on("offline", () => setConnectionState("offline"));
             client.on("error", (err) => console.error(err));
         }
-        // Setting 'client' as the sole dependency ensures that the function only
+        // Setting 'client' as the dependency ensures that the function only
         // gets called when client changes. That is, on initial establishment of
         // the client connection. Otherwise, new handlers would get established on
-        // every refresh.
-    }, [client]);
+        // every refresh. 'handleMessage' never changes.
+    }, [client, handleMessage]);
 
-    // Use boat heading, but if it's not available, substitute COG
-    let boatDir = vesselState["navigation.headingTrue"]?.value;
-    if (boatDir == null)
-        boatDir = vesselState["navigation.courseOverGroundTrue"]?.value;
+    // Share an anchor watch with every viewer, as a retained message. Null
+    // removes it.
+    function shareAnchorWatch(watch) {
+        if (!client) return Promise.reject(new Error("not connected"));
+        return client.publishAsync(anchorOptions.topic,
+            watch ? JSON.stringify(watch) : "", { qos: 1, retain: true });
+    }
 
-    // Use environment.wind.speedTrue, but if it's not available,
-    // then environment.wind.speedOverGround
-    let windSpeed = vesselState["environment.wind.speedTrue"]?.value;
-    if (windSpeed == null)
-        windSpeed = vesselState["environment.wind.speedOverGround"]?.value;
+    // Find out how much was captured before the page was loaded
+    useEffect(() => {
+        countRecords()
+            .then(setRecordCount)
+            .catch((err) => console.error("Unable to open recorder:", err));
+    }, []);
+
+    // Start or stop capturing the live data
+    function handleRecordToggle() {
+        const newRecording = !recordingRef.current;
+        recordingRef.current = newRecording;
+        setRecording(newRecording);
+        setRecordingState(newRecording);
+    }
+
+    // Keep the tracks in browser storage, so they survive a reload. Tracks
+    // built by a replay are not saved.
+    useEffect(() => {
+        if (replayingRef.current) return;
+        for (const [context, track] of Object.entries(tracks)) {
+            saveTrack(context, track);
+        }
+    }, [tracks]);
+
+    // Called when the user changes the units. Everything already formatted
+    // has to be formatted again in the new units.
+    function handleUnitSettings(settings) {
+        setUnitSettings(settings);
+        setUnitSettingsState(settings);
+        setFleetState((f) => new FleetState(f).reformat());
+    }
+
+    // Throw away everything received so far
+    const resetState = useCallback(() => {
+        setCachedState(null);
+        setFleetState(new FleetState());
+        setTrafficState(new TrafficState());
+        setTracks({});
+        motionRef.current = {};
+        currentRef.current = {};
+    }, []);
+
+    // Start replaying a log. Live data is set aside until the replay ends.
+    function handleReplayLoad(entries, name) {
+        replayingRef.current = true;
+        setReplay({ entries, name });
+    }
 
-    // boatPosition holds the current vessel position, or null if it has not been established yet.
+    // Leave the replay and go back to live data. The live values come back
+    // as updates arrive.
+    function handleReplayClose() {
+        replayingRef.current = false;
+        setReplay(null);
+        setReplayTime(null);
+        resetState();
+    }
+
+    const handleReplayMessage = useCallback(
+        (entry) => handleMessage(entry.topic, entry.payload),
+        [handleMessage],
+    );
+
+    // The current time, so values can be marked as stale even if no new data
+    // arrives. During a replay, it is the time reached by the replay.
+    const liveNow = useNow(staleOptions.checkInterval);
+    const now = replay && replayTime != null ? replayTime : liveNow;
+
+    // Save the last known state every so often, so a reload can show it
+    // right away. Neither a replay nor the state restored from the cache is
+    // saved.
+    useEffect(() => {
+        if (replay || cachedState) return;
+        if (liveNow - lastSavedRef.current < cacheOptions.saveInterval * 1000) return;
+        lastSavedRef.current = liveNow;
+        saveCachedState(fleetState, status);
+    }, [fleetState, status, replay, cachedState, liveNow]);
+
+    // The contexts of all the vessels heard from so far
+    const contexts = Object.keys(fleetState);
+    // Show the vessel the user picked or, failing that, the first one heard from
+    const context = selectedContext ?? contexts[0];
+    const {
+        vesselState = {},
+        formattedState = {},
+        history = {},
+    } = fleetState[context] || {};
+    const track = tracks[context];
+
+    // The part of the selected vessel's track that falls within the selected
+    // time window
+    const trackPoints = useMemo(
+        () => track?.getPoints(trackOptions.windows[trackWindow].length,
+            now) || [],
+        [track, trackWindow, now],
+    );
+
+    // boatPosition holds the current position of the selected vessel, or null
+    // if it has not been established yet.
     const boatPosition = getLatLng(vesselState);
 
+    // How far the watched vessel is from its anchor
+    const anchorPosition = anchorWatch &&
+        getLatLng(fleetState[anchorWatch.context]?.vesselState || {});
+    const anchorCheck = anchorPosition && checkAnchor(anchorWatch, anchorPosition);
+    const anchorDragging = anchorCheck?.dragging || false;
+    const anchorName = anchorWatch && getVesselInfo(anchorWatch.context).name;
+
+    // When the anchor starts to drag, post a notification. Once the boat is
+    // back inside its circle, the alarm is ready to go off again.
+    useEffect(() => {
+        if (anchorDragging) {
+            sendNotification("Anchor alarm",
+                anchorName + " has left its swing circle.", "anchor");
+        } else {
+            setAnchorSilenced(false);
+        }
+    }, [anchorDragging, anchorName]);
+
+    // Keep sounding the alarm until it is silenced
+    useEffect(() => {
+        if (!anchorDragging || anchorSilenced) return;
+        soundAlarm();
+        const timer = setInterval(soundAlarm, anchorOptions.alarmInterval * 1000);
+        return () => clearInterval(timer);
+    }, [anchorDragging, anchorSilenced]);
+
+    // Run the alarm rules whenever anything changes
+    useEffect(() => {
+        setAlarms((a) => runRules(a, alarmRules, fleetState, now));
+    }, [alarmRules, fleetState, now]);
+
+    // Keep the rules and alarms in browser storage
+    useEffect(() => {
+        saveRules(alarmRules);
+    }, [alarmRules]);
+    useEffect(() => {
+        // Alarms raised by a replay are not kept
+        if (replayingRef.current) return;
+        saveAlarms(alarms);
+    }, [alarms]);
+
+    // Notify the user about any alarm that needs attention, and has not been
+    // notified already.
+    useEffect(() => {
+        const fresh = Object.values(alarms).filter(
+            (alarm) => needsAttention(alarm, now) && !alarm.notified);
+        if (!fresh.length) return;
+        for (const alarm of fresh) {
+            sendNotification("Alarm", alarm.message, alarm.key);
+        }
+        soundAlarm();
+        setAlarms((a) => {
+            let updated = { ...a };
+            for (const alarm of fresh) {
+                if (updated[alarm.key]) {
+                    updated[alarm.key] = { ...updated[alarm.key], notified: true };
+                }
+            }
+            return updated;
+        });
+    }, [alarms, now]);
+
+    function handleAcknowledge(key) {
+        setAlarms((a) => ({ ...a, [key]: { ...a[key], acknowledged: true } }));
+    }
+
+    // Snoozing means the user will be notified again when the snooze ends
+    function handleSnooze(key, length) {
+        setAlarms((a) => ({
+            ...a,
+            [key]: { ...a[key], snoozedUntil: Date.now() + length * 1000, notified: false },
+        }));
+    }
+
+    // Keep the route in browser storage. Nothing done against a replay is
+    // kept.
+    useEffect(() => {
+        if (replayingRef.current) return;
+        saveRoute(route);
+    }, [route]);
+
+    // Keep the polar in browser storage
+    useEffect(() => {
+        savePolar(polar);
+    }, [polar]);
+
+    // Move on to the next waypoint when the selected vessel reaches one. A
+    // replayed vessel does not move the real route on.
+    const boatLat = boatPosition?.lat;
+    const boatLng = boatPosition?.lng;
+    useEffect(() => {
+        if (boatLat == null || replayingRef.current) return;
+        setRoute((r) => advanceRoute(r, { lat: boatLat, lng: boatLng }));
+    }, [boatLat, boatLng]);
+
+    // Drop a waypoint at the end of the route
+    function handleMapClick(latLng) {
+        if (!latLng) return;
+        setRoute((r) => ({
+            ...r,
+            waypoints: [...r.waypoints, {
+                lat: latLng.lat,
+                lng: latLng.lng,
+                name: "WP" + (r.waypoints.length + 1),
+            }],
+        }));
+    }
+
+    function handleWaypointMove(index, latLng) {
+        setRoute((r) => ({
+            ...r,
+            waypoints: r.waypoints.map((w, i) => (i === index ? { ...w, ...latLng } : w)),
+        }));
+    }
+
+    // Add how the selected vessel is doing against the route to its values.
+    // If no route is being followed, it is how it is doing against the
+    // destination.
+    const routeUpdates = getRouteUpdates(
+        route.active == null && destination ? getDestinationRoute(destination) : route,
+        vesselState);
+    // And how it is doing against its polar
+    const polarUpdates = getPolarUpdates(polar, vesselState);
+    const tableState = routeUpdates.length || polarUpdates.length
+        ? new FormattedState(formattedState).mergeUpdates([...routeUpdates, ...polarUpdates])
+        : formattedState;
+    const laylines = getLaylines(polar, vesselState, destination);
+
+    // The status to show, taking in any scheduled ones that have come due
+    const effectiveStatus = getEffectiveStatus(status, statusHistory,
+        scheduledStatuses, now);
+
+    // The AIS targets, with their closest approach to the selected vessel
+    const targets = assessTargets(
+        trafficState.getTargets(now),
+        boatPosition && {
+            ...boatPosition,
+            sog: vesselState["navigation.speedOverGround"]?.value,
+            cog: vesselState["navigation.courseOverGroundTrue"]?.value,
+        },
+    );
+
     return (
         <div style={{ height: "400px", width: "100%", padding: "50px" }}>
             <p><a href="https://westernflyer.org"><img  style={{width: "300px"}} src="/flyer-map/assets_logo_trans.png" alt="Logo"/></a></p>
@@ -112,38 +625,128 @@ function App() {
                 <h1 className="entry-title">Where&apos;s the Flyer?</h1>
             </header>
             <p><strong><em>Status</em></strong> <span style={{float: "right"}}><a
-                href="/flyer-map/status.html">Change</a></span></p>
-            <p>{status}</p>
+                href="/flyer-map/admin.html">Change</a></span></p>
+            <StatusPanel status={effectiveStatus.current}
+                         history={effectiveStatus.history}
+                         now={now} />
             <img className="center" style={{ marginBottom: "20px" }}
                  src={"/flyer-map/underline-short.png"} alt="Underline" />
-            <APIProvider
-                apiKey={`${google_key}`}
-                onLoad={() => console.log("Maps API has loaded.")}
-            >
-                {(boatPosition && (
-                    <Map
-                        defaultZoom={10}
-                        defaultCenter={boatPosition}
-                        streetViewControl={false}
-                        scaleControl={true}
-                        mapId="FLYER_MAP_ID">
-                        <BoatMarker boatPosition={boatPosition}
-                                    heading={boatDir}
-                                    cog={vesselState["navigation.courseOverGroundTrue"]?.value}
-                                    sog={vesselState["navigation.speedOverGround"]?.value}
-                                    windSpeed={windSpeed}
-                                    windDirection={vesselState["environment.wind.directionTrue"]?.value}
-                        />
-                        <FollowBoatControl
-                            boatPosition={boatPosition} />
-                    </Map>
-                )) || (
-                    <p className="fetching">Waiting for a valid vessel
-                        position...</p>
-                )}
-            </APIProvider>
+            {(replay && (
+                <ReplayControls entries={replay.entries}
+                                name={replay.name}
+                                onMessage={handleReplayMessage}
+                                onReset={resetState}
+                                onTime={setReplayTime}
+                                onClose={handleReplayClose} />
+            )) || (
+                <ConnectionBanner connectionState={connectionState}
+                                  cachedAt={cachedState?.savedAt} />
+            )}
+            {configErrors.length > 0 && (
+                <div className="error">
+                    <p>The configuration published on &quot;{configOptions.topic}&quot; was
+                        ignored:</p>
+                    <ul>
+                        {configErrors.map((error) => <li key={error}>{error}</li>)}
+                    </ul>
+                </div>
+            )}
+            {anchorDragging && (
+                <AnchorAlarm name={anchorName}
+                             distance={anchorCheck.distance}
+                             silenced={anchorSilenced}
+                             onSilence={() => setAnchorSilenced(true)} />
+            )}
+            <AlarmList alarms={Object.values(alarms)}
+                       now={now}
+                       onAcknowledge={handleAcknowledge}
+                       onSnooze={handleSnooze} />
+            <VesselPicker contexts={contexts}
+                          selected={context}
+                          onSelect={setSelectedContext} />
+            {(boatPosition && (
+                <MapView
+                    defaultZoom={mapOptions.defaultZoom}
+                    defaultCenter={boatPosition}
+                    cursor={mapTool ? "crosshair" : undefined}
+                    onClick={mapTool === "route" ? handleMapClick : undefined}>
+                    <TrackLine points={trackPoints} />
+                    <RouteLine route={route}
+                               editing={mapTool === "route"}
+                               onMove={handleWaypointMove} />
+                    {destination && (
+                        <DestinationMarker destination={destination} />
+                    )}
+                    <Laylines laylines={laylines} />
+                    {anchorWatch && (
+                        <AnchorCircle watch={anchorWatch}
+                                      dragging={anchorDragging} />
+                    )}
+                    {contexts.map((c) => (
+                        <VesselMarker key={c} context={c}
+                                      vesselState={fleetState[c].vesselState}
+                                      history={fleetState[c].history}
+                                      duration={predictOptions.durations[predictDuration].length}
+                                      showHeading={showHeading}
+                                      cached={cachedState != null}
+                                      now={now} />
+                    ))}
+                    {targets.map((target) => (
+                        <TrafficMarker key={target.context}
+                                       target={target}
+                                       dangerous={target.dangerous}
+                                       title={target.name || target.mmsi} />
+                    ))}
+                    <FollowBoatControl
+                        boatPosition={boatPosition} />
+                    <TrackControl
+                        windowIndex={trackWindow}
+                        onWindowChange={setTrackWindow}
+                        onClear={() => setTracks(
+                            (t) => ({ ...t, [context]: new Track() }),
+                        )} />
+                    <PredictControl durationIndex={predictDuration}
+                                    onDurationChange={setPredictDuration}
+                                    showHeading={showHeading}
+                                    onShowHeadingChange={setShowHeading} />
+                    <RouteControl editing={mapTool === "route"}
+                                  onEditingChange={(on) => setMapTool(on ? "route" : null)} />
+                    <RulerControl active={mapTool === "ruler"}
+                                  onActiveChange={(on) => setMapTool(on ? "ruler" : null)}
+                                  boatPosition={boatPosition} />
+                </MapView>
+            )) || (
+                <p className="fetching">Waiting for a valid vessel
+                    position...</p>
+            )}
             <div style={{ padding: "20px" }}>
-                <VesselTable formattedState={formattedState} />
+                <VesselTable formattedState={tableState}
+                             history={history}
+                             name={context && getVesselInfo(context).name +
+                                 (cachedState ? " (cached)" : "")}
+                             now={now} />
+                {targets.length > 0 && <TrafficTable targets={targets} />}
+                <WindHistory history={history} now={now} />
+                <SettingsPanel unitSettings={unitSettings}
+                               onChange={handleUnitSettings} />
+                <AlarmRules rules={alarmRules} onChange={setAlarmRules} />
+                <RoutePanel route={route} onChange={setRoute} />
+                <PolarPanel polar={polar} onChange={setPolar} />
+                <AnchorPanel watch={anchorWatch}
+                             check={anchorCheck}
+                             boatPosition={boatPosition}
+                             onChange={(watch) => handleAnchorWatch(
+                                 watch && { context, ...watch })}
+                             onShare={canPublish() ? shareAnchorWatch : null} />
+                {context && (
+                    <ExportControl points={track?.points || []}
+                                   name={getVesselInfo(context).name} />
+                )}
+                <RecorderControl recording={recording}
+                                 count={recordCount}
+                                 onToggle={handleRecordToggle}
+                                 onClear={() => setRecordCount(0)} />
+                {!replay && <ReplayLoader onLoad={handleReplayLoad} />}
                 <div style={{ paddingLeft: "16px" }}>
                     <About />
                 </div>
@@ -152,4 +755,82 @@ function App() {
     );
 }
 
+/**
+ * React function component that shows the marker for one vessel.
+ *
+ * @param {object} props
+ * @param {string} props.context - The SignalK context of the vessel
+ * @param {VesselState} props.vesselState - Current values for the vessel
+ * @param {HistoryState} [props.history] - The history of its values
+ * @param {number} props.duration - How far ahead to predict its path, in
+ *   seconds
+ * @param {boolean} [props.showHeading] - True to show its heading line
+ * @param {boolean} [props.cached] - True if the values are the last known
+ *   state, rather than live
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch.
+ * @returns {JSX.Element|null}
+ */
+function VesselMarker(props) {
+    const { context, vesselState, history, duration, showHeading, cached, now } = props;
+
+    const boatPosition = getLatLng(vesselState);
+    if (!boatPosition) return null;
+
+    // Use boat heading, but if it's not available, substitute COG
+    let boatDir = vesselState["navigation.headingTrue"]?.value;
+    if (boatDir == null)
+        boatDir = vesselState["navigation.courseOverGroundTrue"]?.value;
+
+    // Use environment.wind.speedTrue, but if it's not available,
+    // then environment.wind.speedOverGround
+    let windSpeed = vesselState["environment.wind.speedTrue"]?.value;
+    if (windSpeed == null)
+        windSpeed = vesselState["environment.wind.speedOverGround"]?.value;
+
+    // The heading line needs a true heading, and the speed through water,
+    // or failing that, over ground
+    const heading = vesselState["navigation.headingTrue"]?.value;
+    const headingSpeed = showHeading && heading != null
+        ? (vesselState["navigation.speedThroughWater"] ??
+            vesselState["navigation.speedOverGround"])?.value
+        : undefined;
+
+    const { name, icon } = getVesselInfo(context);
+
+    // Has the position gone stale? A position from the cache is treated as
+    // stale until live data arrives.
+    const stale = cached || isStale("navigation.position.latitude",
+        vesselState["navigation.position.latitude"].last_update.valueOf(), now);
+
+    return (
+        <BoatMarker boatPosition={boatPosition}
+                    heading={boatDir}
+                    cog={vesselState["navigation.courseOverGroundTrue"]?.value}
+                    sog={vesselState["navigation.speedOverGround"]?.value}
+                    rot={getRateOfTurn(vesselState, history)}
+                    duration={duration}
+                    time={vesselState["navigation.position.latitude"].last_update.valueOf()}
+                    headingSpeed={headingSpeed}
+                    windSpeed={windSpeed}
+                    windDirection={vesselState["environment.wind.directionTrue"]?.value}
+                    currentSet={vesselState["environment.current.setTrue"]?.value}
+                    currentDrift={vesselState["environment.current.drift"]?.value}
+                    name={name}
+                    icon={icon}
+                    stale={stale}
+        />
+    );
+}
+
+VesselMarker.propTypes = {
+    context: PropTypes.string,
+    vesselState: PropTypes.object,
+    history: PropTypes.object,
+    duration: PropTypes.number,
+    showHeading: PropTypes.bool,
+    cached: PropTypes.bool,
+    now: PropTypes.number,
+};
+
 export default App;
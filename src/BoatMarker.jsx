@@ -6,65 +6,104 @@
  */
 
 import PropTypes from "prop-types";
-import { AdvancedMarker } from "@vis.gl/react-google-maps";
+import { Marker } from "./maps";
 
 import "./App.css";
 import { COGLine } from "./COGLine";
+import { CurrentArrow } from "./CurrentArrow";
+import { HeadingLine } from "./HeadingLine";
 import { WindBarb } from "./WindBarb.jsx";
 
 
 /**
  * React function component to show a marker for the boat position,
- * heading, COG, and true wind.
+ * heading, COG, true wind, and current.
  *
  * @param {object} props
- * @param {google.maps.LatLng | google.maps.LatLngLiteral | null} props.boatPosition - Boat position
+ * @param {{lat: number, lng: number} | null} props.boatPosition - Boat position
  * @param {number} props.heading - The boat heading in radians. 0=N
  * @param {number} props.cog - The boat's course-over-ground in radians.
  * @param {number} props.sog - The boat's speed-over-ground in m/s.
+ * @param {number} [props.rot] - The boat's rate of turn in radians/second
+ * @param {number} props.duration - How far ahead to predict its path, in
+ *   seconds
+ * @param {number} [props.time] - The time of the position, in milliseconds
+ *   since the unix epoch
+ * @param {number} [props.headingSpeed] - The speed through water in m/s, for
+ *   the heading line. If not given, the heading line is not shown.
  * @param {number} props.windSpeed - True wind speed in m/s
  * @param {number} props.windDirection - True wind direction in radians. 0=N
+ * @param {number} [props.currentSet] - The direction the current flows
+ *   toward, in radians. 0=N
+ * @param {number} [props.currentDrift] - The speed of the current in m/s
+ * @param {string} props.name - The name of the boat
+ * @param {string} props.icon - URL of the image used for the boat
+ * @param {boolean} [props.stale] - True if the position is out of date
  */
 export const BoatMarker = (props) => {
     const {
-        boatPosition, heading, cog, sog,
-        windSpeed, windDirection,
+        boatPosition, heading, cog, sog, rot, duration, time, headingSpeed,
+        windSpeed, windDirection, currentSet, currentDrift, name, icon, stale,
     } = props;
+    // Mark the titles of a stale position, so a viewer knows not to trust it
+    const title = stale ? name + " (stale)" : name;
+    // Lines are faded the same way the markers are
+    const opacity = stale ? 0.4 : undefined;
     return (
         <>
-            <AdvancedMarker
-                key="flyer-position"
+            <Marker
+                key="boat-position"
                 position={boatPosition}
-                title="Western Flyer position"
+                title={title + " position"}
             >
-                <div style={{
+                <div className={stale ? "stale" : undefined} style={{
                     transform: "translate(0px,25px) rotate(" + heading + "rad)",
                 }}>
-                    <img src={"/flyer-map/western flyer.svg"}
+                    <img src={icon}
                          alt="Boat position" />
                 </div>
-            </AdvancedMarker>
-            <AdvancedMarker
-                key="flyer-cog"
+            </Marker>
+            <COGLine
+                boatPosition={boatPosition}
+                cog={cog}
+                sog={sog}
+                rot={rot}
+                duration={duration}
+                time={time}
+                opacity={opacity}
+            />
+            <HeadingLine
+                boatPosition={boatPosition}
+                heading={heading}
+                speed={headingSpeed}
+                duration={duration}
+                opacity={opacity}
+            />
+            <Marker
+                key="boat-wind"
                 position={boatPosition}
-                title="Western Flyer COG"
+                title={"True wind at " + title}
             >
-                <COGLine
-                    boatPosition={boatPosition}
-                    cog={cog}
-                    sog={sog}
-                />
-            </AdvancedMarker>
-            <AdvancedMarker
-                key="flyer-wind"
+                <div className={stale ? "stale" : undefined}>
+                    <WindBarb
+                        windSpeed={windSpeed}
+                        windDirection={windDirection}
+                    />
+                </div>
+            </Marker>
+            <Marker
+                key="boat-current"
                 position={boatPosition}
-                title="True wind at Western Flyer"
+                title={"Current at " + title}
             >
-                <WindBarb
-                    windSpeed={windSpeed}
-                    windDirection={windDirection}
-                />
-            </AdvancedMarker>
+                <div className={stale ? "stale" : undefined}>
+                    <CurrentArrow
+                        boatPosition={boatPosition}
+                        set={currentSet}
+                        drift={currentDrift}
+                    />
+                </div>
+            </Marker>
         </>
     )
         ;
@@ -78,6 +117,15 @@ BoatMarker.propTypes = {
     heading: PropTypes.number,
     cog: PropTypes.number,
     sog: PropTypes.number,
+    rot: PropTypes.number,
+    duration: PropTypes.number,
+    time: PropTypes.number,
+    headingSpeed: PropTypes.number,
     windSpeed: PropTypes.number,
     windDirection: PropTypes.number,
+    currentSet: PropTypes.number,
+    currentDrift: PropTypes.number,
+    name: PropTypes.string,
+    icon: PropTypes.string,
+    stale: PropTypes.bool,
 };
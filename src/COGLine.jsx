@@ -5,77 +5,97 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { useEffect, useState } from "react";
-import { useMap } from "@vis.gl/react-google-maps";
+import { useEffect, useMemo, useState } from "react";
 import PropTypes from "prop-types";
+import dayjs from "dayjs";
 
 import { markerOptions } from "../flyer.config.js";
-import { getPixelDistance, latLngAtBearing } from "./utilities";
+import { Marker, Polyline, useMapHandle } from "./maps";
+import { predictPath } from "./predict.js";
+
+// Describe how far ahead a tick is, such as "5 min" or "1 h"
+function formatAhead(seconds) {
+    return seconds % 3600 === 0 ? seconds / 3600 + " h" : seconds / 60 + " min";
+}
 
 /**
- * Component that displays a line for COG/SOG.
+ * Component that displays the predicted path of a vessel, from its COG and
+ * SOG. If it is turning, the path bends with its rate of turn. Ticks can be
+ * placed along it at the times in predictOptions.ticks. Hovering over one
+ * shows when the vessel is expected there.
  *
  * @param {object} props
- * @param {google.maps.LatLng | google.maps.LatLngLiteral} props.boatPosition - Boat position
+ * @param {{lat: number, lng: number}} props.boatPosition - Boat position
  * @param {number} props.cog - The course over ground in radians. 0=N, pi/180=E, etc.
  * @param {number} props.sog - The speed over ground in meters/second
- * @param {number} [props.duration] - The line will extend this many seconds in the
+ * @param {number} [props.rot] - The rate of turn in radians/second, positive
+ *   to starboard. Default is 0, a straight line.
+ * @param {number} [props.duration] - The path will extend this many seconds in the
  *   future. Default is 600 (10 minutes).
- * @returns {JSX.Element} - A line representing the COG.
+ * @param {number} [props.time] - The time of the position, in milliseconds
+ *   since the unix epoch. If given, ticks are shown.
+ * @param {string} [props.color] - Color of the line. Default is purple.
+ * @param {number} [props.opacity] - Opacity of the line
+ * @returns {JSX.Element} - A line representing the predicted path.
  */
 export const COGLine = (props) => {
-    const { boatPosition, cog, sog } = props;
+    const { boatPosition, cog, sog, time, opacity } = props;
+    const rot = props.rot || 0;
     // Provide a default duration of 10 minutes
     const duration = props.duration || 600;
+    const color = props.color || "purple";
 
     const [pixelDistance, setPixelDistance] = useState(null);
-    const [projection, setProjection] = useState(null);
     const [zoom, setZoom] = useState(0);
 
     // Retrieve the map instance
-    const map = useMap();
+    const map = useMapHandle();
 
-    // Add a listener for when the zoom changes. This speeds up the
-    // repositioning of the COG line when zooming in and out.
+    // Add a listener for when the zoom changes, so short lines can be
+    // hidden as the map zooms out.
     useEffect(() => {
-        map.addListener("zoom_changed", () => {
+        if (!map) return;
+        setZoom(map.getZoom());
+        return map.addListener("zoom", () => {
             setZoom(map.getZoom());
         });
     }, [map]);
 
+    // The position is a new object on every render, so the prediction
+    // depends on its coordinates instead
+    const lat = boatPosition?.lat;
+    const lng = boatPosition?.lng;
+    const prediction = useMemo(() => (
+        lat != null && lng != null && cog != null && sog != null
+            ? predictPath({ lat, lng }, cog, sog, rot, duration)
+            : null
+    ), [lat, lng, cog, sog, rot, duration]);
+
     useEffect(() => {
-        setProjection(map.getProjection());
-        setZoom(map.getZoom());
-        const scale = zoom ? Math.pow(2, zoom) : null;
-        // Make sure we have all the data we need
-        if (map && projection && boatPosition && cog != null && sog != null && zoom != null && scale != null) {
-            // Calculate how far the boat will go in duration seconds
-            const distance_meters = sog * duration;
-            // Calculate where the boat will end up at that time
-            const endBoatPosition = latLngAtBearing(boatPosition, distance_meters, cog);
-            // Calculate its pixel distance
-            setPixelDistance(getPixelDistance(scale, projection, boatPosition, endBoatPosition));
+        if (map && prediction && zoom != null) {
+            const { path } = prediction;
+            setPixelDistance(map.getPixelDistance(path[0], path[path.length - 1]));
         }
-    }, [map, projection, zoom, boatPosition, cog, sog, duration]);
+    }, [map, zoom, prediction]);
+
+    if (!prediction || pixelDistance == null || pixelDistance < markerOptions.minCOGLength) {
+        return null;
+    }
 
     return (
         <>
-            {pixelDistance != null && pixelDistance >= markerOptions.minCOGLength &&
-                <div style={{
-                    // Make sure we rotate around the base of line.
-                    transformOrigin: "center bottom",
-                    transform: "rotate(" + cog + "rad)",
-                }}>
-                    <svg
-                        xmlns="http://www.w3.org/2000/svg"
-                        width="10" height={pixelDistance + 10}
-                        stroke="purple"
-                        fill="none">
-                        <line x1="5" y1={pixelDistance + 10} x2="5" y2={10} />
-                        <circle cx="5" cy="10" r="2" />
-                    </svg>
-                </div>
-            }
+            <Polyline path={prediction.path}
+                      color={color}
+                      opacity={opacity}
+                      zIndex={1} />
+            {time != null && prediction.ticks.map((tick) => (
+                <Marker key={tick.seconds}
+                        position={{ lat: tick.lat, lng: tick.lng }}
+                        title={`In ${formatAhead(tick.seconds)}, at ` +
+                            dayjs(time + tick.seconds * 1000).format("HH:mm")}>
+                    <div className="predict-tick" style={{ borderColor: color, opacity }} />
+                </Marker>
+            ))}
         </>
     );
 };
@@ -87,5 +107,9 @@ COGLine.propTypes = {
     }),
     cog: PropTypes.number,
     sog: PropTypes.number,
+    rot: PropTypes.number,
     duration: PropTypes.number,
+    time: PropTypes.number,
+    color: PropTypes.string,
+    opacity: PropTypes.number,
 };
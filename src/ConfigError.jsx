@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { configOptions } from "../flyer.config.js";
+import "./App.css";
+
+/**
+ * React function component shown in place of the app when its runtime
+ * configuration is not valid.
+ *
+ * @param {object} props
+ * @param {Array<string>} props.errors - What is wrong with the configuration
+ * @returns {JSX.Element}
+ */
+export function ConfigError(props) {
+    const { errors } = props;
+    return (
+        <div className="config-error">
+            <h1>The configuration is not valid</h1>
+            <p>The app cannot start until <code>{configOptions.url}</code>, next
+                to <code>index.html</code>, is fixed:</p>
+            <ul>
+                {errors.map((error) => <li key={error} className="error">{error}</li>)}
+            </ul>
+            <p>See <code>config.example.json</code> for what it may hold.</p>
+        </div>
+    );
+}
+
+ConfigError.propTypes = {
+    errors: PropTypes.arrayOf(PropTypes.string),
+};
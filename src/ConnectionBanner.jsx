@@ -0,0 +1,60 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import "./App.css";
+
+// What to tell the viewer for each connection state. Nothing is shown when
+// the connection is healthy.
+const messages = {
+    connecting: "Connecting to the data server...",
+    reconnecting: "Lost the connection to the data server. Reconnecting...",
+    offline: "Not connected to the data server. The values shown may be out of date.",
+};
+
+/**
+ * React function component that posts a notice when the connection to the
+ * MQTT broker is not healthy, or when what is shown is the last known state,
+ * saved before the page was loaded.
+ *
+ * @param {object} props
+ * @param {string} props.connectionState - One of "connecting", "online",
+ *   "reconnecting", or "offline".
+ * @param {number|null} [props.cachedAt] - If the values shown are the last
+ *   known state, when it was saved, in milliseconds since the unix epoch
+ * @returns {JSX.Element|null}
+ */
+export function ConnectionBanner(props) {
+    const { connectionState, cachedAt } = props;
+    const message = messages[connectionState];
+
+    return (
+        <>
+            {message && (
+                <p className={"connection-banner connection-" + connectionState}>
+                    {message}
+                </p>
+            )}
+            {cachedAt != null && (
+                <p className="connection-banner connection-cached">
+                    CACHED: showing the last known state, saved
+                    {" " + dayjs(cachedAt).format("YYYY-MM-DD HH:mm")}. Waiting
+                    for live data...
+                </p>
+            )}
+        </>
+    );
+}
+
+ConnectionBanner.propTypes = {
+    connectionState: PropTypes.oneOf([
+        "connecting", "online", "reconnecting", "offline",
+    ]),
+    cachedAt: PropTypes.number,
+};
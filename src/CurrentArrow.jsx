@@ -0,0 +1,90 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+
+import { currentOptions, markerOptions } from "../flyer.config.js";
+import { useMapHandle } from "./maps";
+import { latLngAtBearing } from "./utilities";
+
+/**
+ * Component that displays an arrow for the set and drift of the current. It
+ * points the way the current flows, and reaches as far as the current would
+ * carry the boat in currentOptions.duration seconds.
+ *
+ * @param {object} props
+ * @param {{lat: number, lng: number}} props.boatPosition - Boat position
+ * @param {number} props.set - The direction the current flows toward, in
+ *   radians. 0=N, pi/2=E, etc.
+ * @param {number} props.drift - The speed of the current in meters/second
+ * @param {string} [props.color] - Color of the arrow. Default is teal.
+ * @returns {JSX.Element} - An arrow representing the current.
+ */
+export const CurrentArrow = (props) => {
+    const { boatPosition, set, drift } = props;
+    const color = props.color || "teal";
+
+    const [pixelDistance, setPixelDistance] = useState(null);
+    const [zoom, setZoom] = useState(0);
+
+    // Retrieve the map instance
+    const map = useMapHandle();
+
+    // Add a listener for when the zoom changes, so the arrow keeps its
+    // length on the ground.
+    useEffect(() => {
+        if (!map) return;
+        setZoom(map.getZoom());
+        return map.addListener("zoom", () => {
+            setZoom(map.getZoom());
+        });
+    }, [map]);
+
+    useEffect(() => {
+        if (map && boatPosition && set != null && drift != null && zoom != null) {
+            // Where the current would carry the boat
+            const endPosition = latLngAtBearing(boatPosition,
+                drift * currentOptions.duration, set);
+            setPixelDistance(map.getPixelDistance(boatPosition, endPosition));
+        }
+    }, [map, zoom, boatPosition, set, drift]);
+
+    if (drift == null || drift < currentOptions.minDrift) return null;
+
+    return (
+        <>
+            {pixelDistance != null && pixelDistance >= markerOptions.minCOGLength &&
+                <div style={{
+                    // Rotate around the tail of the arrow, at the boat
+                    transformOrigin: "center bottom",
+                    transform: "rotate(" + set + "rad)",
+                }}>
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="12" height={pixelDistance + 10}
+                        stroke={color}
+                        strokeWidth="2"
+                        fill={color}>
+                        <line x1="6" y1={pixelDistance + 10} x2="6" y2="10" />
+                        <path d="M6 1 L11 11 L1 11 Z" />
+                    </svg>
+                </div>
+            }
+        </>
+    );
+};
+
+CurrentArrow.propTypes = {
+    boatPosition: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    }),
+    set: PropTypes.number,
+    drift: PropTypes.number,
+    color: PropTypes.string,
+};
@@ -0,0 +1,39 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { Marker } from "./maps";
+
+/**
+ * Component that marks the destination set in the admin console.
+ *
+ * @param {object} props
+ * @param {{lat: number, lng: number, name: string}} props.destination - The
+ *   destination
+ * @returns {JSX.Element}
+ */
+export const DestinationMarker = (props) => {
+    const { destination } = props;
+
+    return (
+        <Marker position={{ lat: destination.lat, lng: destination.lng }}
+                title={destination.name}>
+            <div style={{ fontSize: "20px" }}>
+                🏁
+            </div>
+        </Marker>
+    );
+};
+
+DestinationMarker.propTypes = {
+    destination: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+        name: PropTypes.string,
+    }),
+};
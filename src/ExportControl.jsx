@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { toGeoJSON, toGPX, toKML } from "./export.js";
+import { downloadFile } from "./utilities.js";
+
+// The formats a track can be exported in
+const formats = [
+    { label: "GPX", extension: "gpx", type: "application/gpx+xml", convert: toGPX },
+    { label: "KML", extension: "kml", type: "application/vnd.google-earth.kml+xml", convert: toKML },
+    { label: "GeoJSON", extension: "geojson", type: "application/geo+json", convert: toGeoJSON },
+];
+
+/**
+ * React function component that downloads the track of a vessel as a file.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.points - The track points, oldest first
+ * @param {string} props.name - Name of the vessel
+ * @returns {JSX.Element}
+ */
+export function ExportControl(props) {
+    const { points, name } = props;
+
+    function handleExport(format) {
+        const filename = name.replace(/\W+/g, "-") + "-" +
+            dayjs().format("YYYYMMDD-HHmmss") + "." + format.extension;
+        downloadFile(filename, format.convert(points, name), format.type);
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Export track</strong></summary>
+            <p>
+                Download the whole track, with the speed over ground, course
+                over ground, and heading at each position. It can be opened in
+                OpenCPN, Google Earth, or most GIS tools.
+            </p>
+            {formats.map((format) => (
+                <button key={format.label}
+                        style={{ marginRight: "5px" }}
+                        disabled={!points.length}
+                        onClick={() => handleExport(format)}>
+                    {format.label}
+                </button>
+            ))}
+            <span>{points.length} positions</span>
+        </details>
+    );
+}
+
+ExportControl.propTypes = {
+    points: PropTypes.arrayOf(PropTypes.object),
+    name: PropTypes.string,
+};
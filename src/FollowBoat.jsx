@@ -7,14 +7,14 @@
 
 import PropTypes from "prop-types";
 
-import { MapControl, ControlPosition, useMap } from "@vis.gl/react-google-maps";
 import { useEffect, useState } from "react";
+import { Control, useMapHandle } from "./maps";
 
 /**
  * Creates a control that recenters the map to follow the boat as it moves
  *
  * @param {object} props
- * @param {google.maps.LatLng | google.maps.LatLngLiteral | null} props.boatPosition - Boat position
+ * @param {{lat: number, lng: number} | null} props.boatPosition - Boat position
  */
 export function FollowBoatControl(props) {
     const { boatPosition } = props;
@@ -22,7 +22,7 @@ export function FollowBoatControl(props) {
     const [followBoat, setFollowBoat] = useState(true);
 
     // Retrieve the map instance
-    const map = useMap();
+    const map = useMapHandle();
 
     // If in "follow" mode, automatically recenter the map on the boat
     useEffect(() => {
@@ -34,19 +34,20 @@ export function FollowBoatControl(props) {
     // Add a listener for when the map is dragged. That means the user does
     // not want to follow the boat.
     useEffect(() => {
-        map.addListener("dragend",
+        if (!map) return;
+        return map.addListener("dragend",
             () => setFollowBoat(false));
     }, [map]);
 
     return (
-        <MapControl position={ControlPosition.TOP_LEFT}>
+        <Control position="top-left">
             <button
                 style={{ marginTop: "20px" }}
                 onClick={() => setFollowBoat(!followBoat)}
             >
                 {followBoat ? "Stop following" : "Follow boat"}
             </button>
-        </MapControl>
+        </Control>
     );
 
 }
@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { predictOptions } from "../flyer.config.js";
+import { Polyline } from "./maps";
+import { latLngAtBearing } from "./utilities";
+
+/**
+ * Component that displays a dashed line along the boat's heading, as far as
+ * it would go through the water in the given time. Set beside the COG line,
+ * it shows how far leeway and current are setting the boat off.
+ *
+ * @param {object} props
+ * @param {{lat: number, lng: number}} props.boatPosition - Boat position
+ * @param {number} props.heading - The heading in radians. 0=N
+ * @param {number} props.speed - The speed through water in meters/second
+ * @param {number} props.duration - How many seconds ahead the line reaches
+ * @param {number} [props.opacity] - Opacity of the line
+ * @returns {JSX.Element|null}
+ */
+export const HeadingLine = (props) => {
+    const { boatPosition, heading, speed, duration, opacity } = props;
+    if (!boatPosition || heading == null || !speed) return null;
+
+    const end = latLngAtBearing(boatPosition, speed * duration, heading);
+    return (
+        <Polyline path={[boatPosition, end]}
+                  color={predictOptions.headingColor}
+                  opacity={opacity}
+                  dashed={true}
+                  zIndex={1} />
+    );
+};
+
+HeadingLine.propTypes = {
+    boatPosition: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    }),
+    heading: PropTypes.number,
+    speed: PropTypes.number,
+    duration: PropTypes.number,
+    opacity: PropTypes.number,
+};
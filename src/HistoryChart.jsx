@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { getRecentPoints, scalePoints } from "./history.js";
+import { formatPathValue } from "./units.js";
+import { historyOptions } from "../flyer.config.js";
+import "./App.css";
+
+const WIDTH = 600;      // The width of the plot area
+const HEIGHT = 250;     // Its height
+const LEFTMARGIN = 110; // Room for the value labels
+const BOTTOMMARGIN = 25; // Room for the time labels
+
+/**
+ * React function component that shows a larger chart of the history of a
+ * SignalK path, with a choice of time range. It covers the page until closed.
+ *
+ * @param {object} props
+ * @param {string} props.path - The SignalK path being charted
+ * @param {string} props.label - Its label
+ * @param {{unit: string, points: Array<object>}} props.history - Its history
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch.
+ * @param {function()} props.onClose - Called when the user closes the chart
+ * @returns {JSX.Element}
+ */
+export function HistoryChart(props) {
+    const { path, label, history, now, onClose } = props;
+    const [rangeIndex, setRangeIndex] = useState(historyOptions.defaultRange);
+
+    const range = historyOptions.ranges[rangeIndex];
+    const points = getRecentPoints(history, range.length, now);
+    const start = now - range.length * 1000;
+    const values = points.map((p) => p.value);
+
+    return (
+        <div className="chart-overlay" onClick={onClose}>
+            <div className="chart-panel" onClick={(e) => e.stopPropagation()}>
+                <button style={{ float: "right" }} onClick={onClose}>Close</button>
+                <h2>{label}</h2>
+                <p>
+                    {historyOptions.ranges.map((r, i) => (
+                        <button key={r.label}
+                                disabled={i === rangeIndex}
+                                onClick={() => setRangeIndex(i)}>
+                            {r.label}
+                        </button>
+                    ))}
+                </p>
+                {points.length < 2 ? (
+                    <p>Not enough data yet for this time range.</p>
+                ) : (
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width={WIDTH + LEFTMARGIN}
+                        height={HEIGHT + BOTTOMMARGIN}
+                        fontSize="12">
+                        <g transform={`translate(${LEFTMARGIN},0)`}>
+                            <rect width={WIDTH} height={HEIGHT}
+                                  fill="none" stroke="#ccc" />
+                            <polyline
+                                points={scalePoints(points, WIDTH, HEIGHT, start, now)}
+                                stroke="#023755" fill="none" />
+                        </g>
+                        <text x={LEFTMARGIN - 5} y={12} textAnchor="end">
+                            {formatPathValue(path, Math.max(...values), history.unit)}
+                        </text>
+                        <text x={LEFTMARGIN - 5} y={HEIGHT} textAnchor="end">
+                            {formatPathValue(path, Math.min(...values), history.unit)}
+                        </text>
+                        <text x={LEFTMARGIN} y={HEIGHT + 18}>
+                            {dayjs(start).format("MM-DD HH:mm")}
+                        </text>
+                        <text x={LEFTMARGIN + WIDTH} y={HEIGHT + 18} textAnchor="end">
+                            {dayjs(now).format("MM-DD HH:mm")}
+                        </text>
+                    </svg>
+                )}
+            </div>
+        </div>
+    );
+}
+
+HistoryChart.propTypes = {
+    path: PropTypes.string,
+    label: PropTypes.string,
+    history: PropTypes.shape({
+        unit: PropTypes.string,
+        points: PropTypes.arrayOf(PropTypes.object),
+    }),
+    now: PropTypes.number,
+    onClose: PropTypes.func,
+};
@@ -0,0 +1,48 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { polarOptions } from "../flyer.config.js";
+import { Polyline } from "./maps";
+
+/**
+ * Component that draws the laylines to the destination: for each tack, the
+ * course from the boat to where it turns, and on to the destination.
+ *
+ * @param {object} props
+ * @param {Array<{tack: string, path: Array<{lat: number, lng: number}>}>}
+ *   props.laylines - The path to sail on each tack
+ * @returns {JSX.Element}
+ */
+export const Laylines = (props) => {
+    const { laylines } = props;
+
+    return (
+        <>
+            {laylines.map((l) => (
+                <Polyline key={l.tack}
+                          path={l.path}
+                          color={l.tack === "starboard"
+                              ? polarOptions.starboardColor
+                              : polarOptions.portColor}
+                          dashed={true}
+                          zIndex={0} />
+            ))}
+        </>
+    );
+};
+
+Laylines.propTypes = {
+    laylines: PropTypes.arrayOf(PropTypes.shape({
+        tack: PropTypes.string,
+        path: PropTypes.arrayOf(PropTypes.shape({
+            lat: PropTypes.number,
+            lng: PropTypes.number,
+        })),
+    })),
+};
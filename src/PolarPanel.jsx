@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+import { parsePolar } from "./polar.js";
+import "./App.css";
+
+/**
+ * React function component that lets the user load the boat's polar diagram
+ * from a .pol or CSV file, or remove it.
+ *
+ * @param {object} props
+ * @param {object|null} props.polar - The polar now loaded, if any
+ * @param {function(object|null)} props.onChange - Called with the new polar,
+ *   or null when it is removed
+ * @returns {JSX.Element}
+ */
+export function PolarPanel(props) {
+    const { polar, onChange } = props;
+    const [error, setError] = useState(null);
+
+    async function handleFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const parsed = parsePolar(await file.text(), file.name);
+            setError(null);
+            onChange(parsed);
+        } catch (err) {
+            setError(err.message);
+        }
+        // Allow the same file to be picked again
+        event.target.value = "";
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Polar</strong></summary>
+            <p>
+                Load the boat&apos;s polar diagram, as a .pol or CSV file. The
+                table then shows the speed through water as a percentage of
+                the polar, and the map shows the laylines to the destination.
+            </p>
+            {polar && (
+                <p>
+                    Loaded: {polar.name}, for true wind speeds of{" "}
+                    {polar.curves.map((c) => c.tws).join(", ")} kn.{" "}
+                    <button onClick={() => onChange(null)}>Remove</button>
+                </p>
+            )}
+            <input type="file" accept=".pol,.csv,.txt"
+                   onChange={handleFile} />
+            {error && <p className="error">{error}</p>}
+        </details>
+    );
+}
+
+PolarPanel.propTypes = {
+    polar: PropTypes.shape({
+        name: PropTypes.string,
+        curves: PropTypes.arrayOf(PropTypes.object),
+    }),
+    onChange: PropTypes.func,
+};
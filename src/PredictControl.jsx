@@ -0,0 +1,58 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import { predictOptions } from "../flyer.config.js";
+import { Control } from "./maps";
+
+/**
+ * Creates a control that selects how far ahead to predict the boat's path,
+ * and whether to show the heading line beside it.
+ *
+ * @param {object} props
+ * @param {number} props.durationIndex - Index into predictOptions.durations
+ *   of the selected duration.
+ * @param {function(number)} props.onDurationChange - Called with the index
+ *   of a newly selected duration.
+ * @param {boolean} props.showHeading - True if the heading line is shown
+ * @param {function(boolean)} props.onShowHeadingChange - Called when the
+ *   heading line is switched on or off.
+ */
+export function PredictControl(props) {
+    const { durationIndex, onDurationChange, showHeading, onShowHeadingChange } = props;
+
+    return (
+        <Control position="right-top">
+            <div className="predict-panel">
+                <label title="How far ahead to predict the boat's path">
+                    Predict{" "}
+                    <select
+                        value={durationIndex}
+                        onChange={(e) => onDurationChange(Number(e.target.value))}
+                    >
+                        {predictOptions.durations.map((d, i) => (
+                            <option key={d.label} value={i}>{d.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label style={{ marginLeft: "5px" }}>
+                    <input type="checkbox"
+                           checked={showHeading}
+                           onChange={(e) => onShowHeadingChange(e.target.checked)} />
+                    Heading
+                </label>
+            </div>
+        </Control>
+    );
+}
+
+PredictControl.propTypes = {
+    durationIndex: PropTypes.number,
+    onDurationChange: PropTypes.func,
+    showHeading: PropTypes.bool,
+    onShowHeadingChange: PropTypes.func,
+};
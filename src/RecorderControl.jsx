@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { clearRecords, getRecords, toJSONLines } from "./recorder.js";
+import { downloadFile } from "./utilities.js";
+
+/**
+ * React function component with the controls for capturing the live data
+ * stream, and for downloading what was captured.
+ *
+ * @param {object} props
+ * @param {boolean} props.recording - True if a capture is under way
+ * @param {number} props.count - How many messages have been captured
+ * @param {function()} props.onToggle - Called to start or stop capturing
+ * @param {function()} props.onClear - Called after the capture is thrown away
+ * @returns {JSX.Element}
+ */
+export function RecorderControl(props) {
+    const { recording, count, onToggle, onClear } = props;
+
+    async function handleDownload() {
+        try {
+            const records = await getRecords();
+            const filename = "flyer-" + dayjs().format("YYYYMMDD-HHmmss") + ".jsonl";
+            downloadFile(filename, toJSONLines(records), "application/jsonl");
+        } catch (err) {
+            console.error("Unable to download capture:", err);
+        }
+    }
+
+    async function handleClear() {
+        if (!window.confirm("Throw away everything captured so far?")) return;
+        try {
+            await clearRecords();
+            onClear();
+        } catch (err) {
+            console.error("Unable to clear capture:", err);
+        }
+    }
+
+    return (
+        <details className="settings" open={recording}>
+            <summary>
+                <strong>Record</strong>
+                {recording && <span className="recording"> ● recording</span>}
+            </summary>
+            <p>
+                Capture the live data to save a passage, or to send with a bug
+                report. The capture is kept in this browser until cleared.
+                It can be played back with &ldquo;Replay a recorded
+                log.&rdquo;
+            </p>
+            <button onClick={onToggle}>{recording ? "Stop" : "Record"}</button>{" "}
+            <button onClick={handleDownload} disabled={!count}>Download</button>{" "}
+            <button onClick={handleClear} disabled={!count || recording}>Clear</button>{" "}
+            <span>{count} messages captured</span>
+        </details>
+    );
+}
+
+RecorderControl.propTypes = {
+    recording: PropTypes.bool,
+    count: PropTypes.number,
+    onToggle: PropTypes.func,
+    onClear: PropTypes.func,
+};
@@ -0,0 +1,178 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { parseDeltaLog } from "./replay.js";
+import "./App.css";
+
+// How often the replay clock ticks, in milliseconds
+const TICK = 250;
+// The playback speeds the user can choose from
+const SPEEDS = [1, 2, 5, 10, 20, 50, 100];
+
+/**
+ * React function component that lets the user pick a log of recorded SignalK
+ * deltas to replay.
+ *
+ * @param {object} props
+ * @param {function(Array<object>, string)} props.onLoad - Called with the
+ *   parsed entries of the log and the name of its file.
+ * @returns {JSX.Element}
+ */
+export function ReplayLoader(props) {
+    const { onLoad } = props;
+    const [error, setError] = useState(null);
+
+    async function handleFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const entries = parseDeltaLog(await file.text());
+            setError(null);
+            onLoad(entries, file.name);
+        } catch (err) {
+            setError(err.message);
+        }
+        // Allow the same file to be picked again
+        event.target.value = "";
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Replay a recorded log</strong></summary>
+            <p>
+                Pick a file of recorded SignalK deltas, one per line. While it
+                plays, live data is ignored.
+            </p>
+            <input type="file" accept=".json,.jsonl,.log,.txt"
+                   onChange={handleFile} />
+            {error && <p className="error">{error}</p>}
+        </details>
+    );
+}
+
+ReplayLoader.propTypes = {
+    onLoad: PropTypes.func,
+};
+
+/**
+ * React function component that plays back a log of recorded SignalK
+ * deltas, with play/pause, speed, and a scrubber. It makes it obvious that
+ * what is showing is not live.
+ *
+ * @param {object} props
+ * @param {Array<{time: number, topic: string, payload: string}>} props.entries
+ *   - The entries of the log, in time order
+ * @param {string} props.name - Name of the log
+ * @param {function(object)} props.onMessage - Called with each entry as it
+ *   is played
+ * @param {function()} props.onReset - Called when everything played so far
+ *   must be thrown away, such as when scrubbing backwards
+ * @param {function(number)} props.onTime - Called with the replay time, in
+ *   milliseconds since the unix epoch, as it advances
+ * @param {function()} props.onClose - Called when the user goes back to live
+ *   data
+ * @returns {JSX.Element}
+ */
+export function ReplayControls(props) {
+    const { entries, name, onMessage, onReset, onTime, onClose } = props;
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    // The replay time, for display
+    const [time, setTime] = useState(entries[0].time);
+    // Where the playback is. This is a ref so the replay clock always sees
+    // the latest position.
+    const cursorRef = useRef({ index: 0, time: entries[0].time });
+
+    const start = entries[0].time;
+    const end = entries[entries.length - 1].time;
+
+    // Play every entry up to a time
+    const advance = useCallback((to) => {
+        const cursor = cursorRef.current;
+        while (cursor.index < entries.length && entries[cursor.index].time <= to) {
+            onMessage(entries[cursor.index]);
+            cursor.index++;
+        }
+        cursor.time = Math.min(to, end);
+        setTime(cursor.time);
+        onTime(cursor.time);
+        if (cursor.index >= entries.length) setPlaying(false);
+    }, [entries, end, onMessage, onTime]);
+
+    // Start over from the beginning
+    const rewind = useCallback(() => {
+        onReset();
+        cursorRef.current = { index: 0, time: start };
+        advance(start);
+    }, [start, onReset, advance]);
+
+    // Start at the beginning whenever a new log is loaded
+    useEffect(() => {
+        rewind();
+    }, [rewind]);
+
+    // While playing, run the replay clock
+    useEffect(() => {
+        if (!playing) return;
+        const timer = setInterval(
+            () => advance(cursorRef.current.time + TICK * speed), TICK);
+        return () => clearInterval(timer);
+    }, [playing, speed, advance]);
+
+    // Jump to a time. Going backwards means replaying from the start.
+    function seek(to) {
+        if (to < cursorRef.current.time) rewind();
+        advance(to);
+    }
+
+    function handlePlay() {
+        // Playing after the end starts over
+        if (cursorRef.current.index >= entries.length) rewind();
+        setPlaying(!playing);
+    }
+
+    return (
+        <div className="replay-banner">
+            <p>
+                <strong>REPLAY</strong> of <span className="tty">{name}</span>.
+                This is not live data.
+            </p>
+            <button onClick={handlePlay}>{playing ? "Pause" : "Play"}</button>
+            <select value={speed}
+                    onChange={(e) => setSpeed(Number(e.target.value))}
+                    title="Playback speed">
+                {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+            </select>
+            <input type="range" className="replay-scrubber"
+                   min={start} max={end} step={1000} value={time}
+                   onChange={(e) => seek(Number(e.target.value))} />
+            <span className="tty">{dayjs(time).format("YYYY-MM-DD HH:mm:ss")}</span>
+            <button style={{ marginLeft: "10px" }} onClick={onClose}>
+                Back to live
+            </button>
+        </div>
+    );
+}
+
+ReplayControls.propTypes = {
+    entries: PropTypes.arrayOf(
+        PropTypes.shape({
+            time: PropTypes.number,
+            topic: PropTypes.string,
+            payload: PropTypes.string,
+        }),
+    ),
+    name: PropTypes.string,
+    onMessage: PropTypes.func,
+    onReset: PropTypes.func,
+    onTime: PropTypes.func,
+    onClose: PropTypes.func,
+};
@@ -0,0 +1,39 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { Control } from "./maps";
+
+/**
+ * Creates a control that switches route editing on and off. While it is on,
+ * clicking the map drops a waypoint at the end of the route.
+ *
+ * @param {object} props
+ * @param {boolean} props.editing - True if the route is being edited
+ * @param {function(boolean)} props.onEditingChange - Called with the new
+ *   editing state
+ */
+export function RouteControl(props) {
+    const { editing, onEditingChange } = props;
+
+    return (
+        <Control position="left-top">
+            <div style={{ marginTop: "10px", marginLeft: "10px" }}>
+                <button onClick={() => onEditingChange(!editing)}
+                        title={editing ? undefined : "Click the map to drop waypoints"}>
+                    {editing ? "Done adding waypoints" : "Add waypoints"}
+                </button>
+            </div>
+        </Control>
+    );
+}
+
+RouteControl.propTypes = {
+    editing: PropTypes.bool,
+    onEditingChange: PropTypes.func,
+};
@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { routeOptions } from "../flyer.config.js";
+import { Marker, Polyline } from "./maps";
+
+/**
+ * Component that draws a route as a line through its waypoints, with a
+ * numbered marker at each waypoint. The waypoint being steered for is
+ * highlighted. While the route is being edited, the markers can be dragged.
+ *
+ * @param {object} props
+ * @param {{waypoints: Array<object>, active: number|null}} props.route - The
+ *   route
+ * @param {boolean} props.editing - True if the route is being edited
+ * @param {function(number, {lat: number, lng: number})} props.onMove - Called
+ *   with the index of a waypoint that was dragged, and its new position
+ * @returns {JSX.Element}
+ */
+export const RouteLine = (props) => {
+    const { route, editing, onMove } = props;
+
+    return (
+        <>
+            <Polyline path={route.waypoints.map((w) => ({ lat: w.lat, lng: w.lng }))}
+                      color={routeOptions.strokeColor}
+                      geodesic={true}
+                      zIndex={0} />
+            {route.waypoints.map((w, i) => (
+                <Marker key={i}
+                        position={{ lat: w.lat, lng: w.lng }}
+                        title={w.name}
+                        draggable={editing}
+                        onDragEnd={(latLng) => onMove(i, latLng)}>
+                    <div className="waypoint"
+                         style={{
+                             borderColor: routeOptions.strokeColor,
+                             background: i === route.active ? routeOptions.strokeColor : "white",
+                             color: i === route.active ? "white" : routeOptions.strokeColor,
+                         }}>
+                        {i + 1}
+                    </div>
+                </Marker>
+            ))}
+        </>
+    );
+};
+
+RouteLine.propTypes = {
+    route: PropTypes.shape({
+        waypoints: PropTypes.arrayOf(PropTypes.object),
+        active: PropTypes.number,
+    }),
+    editing: PropTypes.bool,
+    onMove: PropTypes.func,
+};
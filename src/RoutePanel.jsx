@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+
+import { toRouteGPX } from "./export.js";
+import { newRoute, parseRouteGPX } from "./route.js";
+import { formatLatLon } from "./units.js";
+import { downloadFile } from "./utilities.js";
+import "./App.css";
+
+/**
+ * React function component that lists the waypoints of a route, lets the
+ * user name, remove, and steer for them, and imports and exports the route
+ * as GPX.
+ *
+ * @param {object} props
+ * @param {object} props.route - The route. See route.js for what it holds.
+ * @param {function(object)} props.onChange - Called with the changed route
+ * @returns {JSX.Element}
+ */
+export function RoutePanel(props) {
+    const { route, onChange } = props;
+    const [error, setError] = useState(null);
+    const { waypoints, active } = route;
+
+    function renameWaypoint(index, name) {
+        onChange({
+            ...route,
+            waypoints: waypoints.map((w, i) => (i === index ? { ...w, name } : w)),
+        });
+    }
+
+    function removeWaypoint(index) {
+        const remaining = waypoints.filter((w, i) => i !== index);
+        // Keep steering for the same waypoint, or the one after a removed one
+        let newActive = active;
+        if (active != null && index < active) newActive = active - 1;
+        if (newActive >= remaining.length) newActive = remaining.length ? remaining.length - 1 : null;
+        onChange({ ...route, waypoints: remaining, active: newActive });
+    }
+
+    async function handleImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            onChange(parseRouteGPX(await file.text()));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+        // Allow the same file to be picked again
+        event.target.value = "";
+    }
+
+    function handleExport() {
+        downloadFile(route.name.replace(/\W+/g, "-") + ".gpx",
+            toRouteGPX(route), "application/gpx+xml");
+    }
+
+    function handleClear() {
+        if (window.confirm("Remove every waypoint of the route?")) {
+            onChange(newRoute());
+        }
+    }
+
+    return (
+        <details className="settings" open={active != null}>
+            <summary><strong>Route</strong></summary>
+            <p>
+                <label htmlFor="route-name">Name: </label>
+                <input type="text" id="route-name" value={route.name}
+                       onChange={(e) => onChange({ ...route, name: e.target.value })} />
+            </p>
+            {(waypoints.length && (
+                <ol>
+                    {waypoints.map((w, i) => (
+                        <li key={i}>
+                            <input type="text" value={w.name}
+                                   onChange={(e) => renameWaypoint(i, e.target.value)} />{" "}
+                            <span className="tty">
+                                {formatLatLon(w.lat, "group_latitude", "dd.dd")}{" "}
+                                {formatLatLon(w.lng, "group_longitude", "dd.dd")}
+                            </span>{" "}
+                            {(i === active && <strong>Steering for this one </strong>) || (
+                                <button onClick={() => onChange({ ...route, active: i })}>
+                                    Steer for
+                                </button>
+                            )}{" "}
+                            <button onClick={() => removeWaypoint(i)}>Remove</button>
+                        </li>
+                    ))}
+                </ol>
+            )) || (
+                <p>
+                    No waypoints yet. Click &quot;Add waypoints&quot; on the map,
+                    then click where each one goes.
+                </p>
+            )}
+            <p>
+                {active != null && (
+                    <button onClick={() => onChange({ ...route, active: null })}>
+                        Stop following
+                    </button>
+                )}{" "}
+                <button onClick={handleExport} disabled={!waypoints.length}>
+                    Export GPX
+                </button>{" "}
+                <button onClick={handleClear} disabled={!waypoints.length}>
+                    Clear route
+                </button>
+            </p>
+            <p>
+                <label htmlFor="route-import">Import a GPX route: </label>
+                <input type="file" id="route-import" accept=".gpx,.xml"
+                       onChange={handleImport} />
+            </p>
+            {error && <p className="error">{error}</p>}
+        </details>
+    );
+}
+
+RoutePanel.propTypes = {
+    route: PropTypes.shape({
+        name: PropTypes.string,
+        waypoints: PropTypes.arrayOf(
+            PropTypes.shape({
+                lat: PropTypes.number,
+                lng: PropTypes.number,
+                name: PropTypes.string,
+            }),
+        ),
+        active: PropTypes.number,
+    }),
+    onChange: PropTypes.func,
+};
@@ -0,0 +1,163 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+
+import { rulerOptions } from "../flyer.config.js";
+import { Control, Marker, Polyline, useMapHandle } from "./maps";
+import { formatValue } from "./units.js";
+import {
+    getBearing,
+    getDistance,
+    getRhumbBearing,
+    getRhumbDistance,
+} from "./utilities.js";
+
+/**
+ * Measure each leg between a list of points, along both the great circle
+ * and the rhumb line.
+ * @param {Array<{lat: number, lng: number}>} points
+ * @returns {Array<{distance: number, bearing: number, rhumbDistance: number,
+ *   rhumbBearing: number}>} Distances in meters, and initial bearings in
+ *   radians
+ */
+function measureLegs(points) {
+    return points.slice(1).map((point, i) => ({
+        distance: getDistance(points[i], point),
+        bearing: getBearing(points[i], point),
+        rhumbDistance: getRhumbDistance(points[i], point),
+        rhumbBearing: getRhumbBearing(points[i], point),
+    }));
+}
+
+const formatDistance = (meters) => formatValue(meters, "group_distance", "meter");
+const formatBearing = (radians) => formatValue(radians, "group_direction", "radian");
+
+/**
+ * Creates a control that measures range and bearing on the map. While it is
+ * on, each click on the map adds a point. The legs between the points are
+ * measured along the great circle and along the rhumb line, with totals, in
+ * the units chosen by the user.
+ *
+ * @param {object} props
+ * @param {boolean} props.active - True if the ruler is on
+ * @param {function(boolean)} props.onActiveChange - Called to turn the ruler
+ *   on or off
+ * @param {{lat: number, lng: number} | null} props.boatPosition - Boat position
+ */
+export function RulerControl(props) {
+    const { active, onActiveChange, boatPosition } = props;
+    // The points measured between
+    const [points, setPoints] = useState([]);
+
+    // Retrieve the map instance
+    const map = useMapHandle();
+
+    // While the ruler is on, each click on the map adds a point
+    useEffect(() => {
+        if (!map || !active) return;
+        return map.addListener("click", (latLng) => {
+            if (latLng) setPoints((p) => [...p, latLng]);
+        });
+    }, [map, active]);
+
+    function handleToggle() {
+        setPoints([]);
+        onActiveChange(!active);
+    }
+
+    const legs = measureLegs(points);
+    const total = legs.reduce((sum, leg) => sum + leg.distance, 0);
+    const rhumbTotal = legs.reduce((sum, leg) => sum + leg.rhumbDistance, 0);
+
+    // The great circle is drawn solid, the rhumb line dashed
+    return (
+        <>
+            <Control position="left-top">
+                <div style={{ marginTop: "10px", marginLeft: "10px" }}>
+                    <button onClick={handleToggle}
+                            title={active ? undefined : "Click the map to measure range and bearing"}>
+                        {active ? "Close ruler" : "Ruler"}
+                    </button>
+                </div>
+            </Control>
+            {active && (
+                <Control position="right-top">
+                    <div className="ruler-panel">
+                        <button disabled={!boatPosition}
+                                onClick={() => setPoints([boatPosition])}>
+                            From boat
+                        </button>{" "}
+                        <button disabled={!points.length}
+                                onClick={() => setPoints([])}>
+                            Clear
+                        </button>
+                        {(legs.length && (
+                            <table>
+                                <thead>
+                                <tr>
+                                    <th>Leg</th>
+                                    <th colSpan={2}>Great circle</th>
+                                    <th colSpan={2}>Rhumb line</th>
+                                </tr>
+                                </thead>
+                                <tbody>
+                                {legs.map((leg, i) => (
+                                    <tr key={i}>
+                                        <td>{i + 1}</td>
+                                        <td>{formatDistance(leg.distance)}</td>
+                                        <td>{formatBearing(leg.bearing)}</td>
+                                        <td>{formatDistance(leg.rhumbDistance)}</td>
+                                        <td>{formatBearing(leg.rhumbBearing)}</td>
+                                    </tr>
+                                ))}
+                                {legs.length > 1 && (
+                                    <tr>
+                                        <th>Total</th>
+                                        <th colSpan={2}>{formatDistance(total)}</th>
+                                        <th colSpan={2}>{formatDistance(rhumbTotal)}</th>
+                                    </tr>
+                                )}
+                                </tbody>
+                            </table>
+                        )) || (
+                            <p>Click the map to add points.</p>
+                        )}
+                    </div>
+                </Control>
+            )}
+            {active && (
+                <>
+                    <Polyline path={points}
+                              color={rulerOptions.strokeColor}
+                              opacity={1}
+                              geodesic={true} />
+                    <Polyline path={points}
+                              color={rulerOptions.strokeColor}
+                              opacity={1}
+                              dashed={true} />
+                </>
+            )}
+            {active && points.map((p, i) => (
+                <Marker key={i} position={p}>
+                    <div className="ruler-point"
+                         style={{ background: rulerOptions.strokeColor }} />
+                </Marker>
+            ))}
+        </>
+    );
+}
+
+RulerControl.propTypes = {
+    active: PropTypes.bool,
+    onActiveChange: PropTypes.func,
+    boatPosition: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+    }),
+};
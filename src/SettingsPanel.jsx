@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import {
+    unitChoices,
+    unitGroupLabels,
+    unitNames,
+    unitPresets,
+} from "./units.js";
+
+/**
+ * React function component that lets the user choose which units to display.
+ * A preset is chosen first, then any unit group can be overridden.
+ *
+ * @param {object} props
+ * @param {{preset: string, overrides: object}} props.unitSettings - The
+ *   settings now in effect
+ * @param {function(object)} props.onChange - Called with the new settings
+ * @returns {JSX.Element}
+ */
+export function SettingsPanel(props) {
+    const { unitSettings, onChange } = props;
+    const { preset, overrides } = unitSettings;
+
+    // Picking a new preset throws away any overrides
+    function handlePresetChange(event) {
+        onChange({ preset: event.target.value, overrides: {} });
+    }
+
+    function handleOverrideChange(group, unit) {
+        const newOverrides = { ...overrides };
+        // Choosing the preset's own unit is the same as having no override
+        if (unit === unitPresets[preset][group]) {
+            delete newOverrides[group];
+        } else {
+            newOverrides[group] = unit;
+        }
+        onChange({ preset, overrides: newOverrides });
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Display settings</strong></summary>
+            <p>
+                <label htmlFor="unit-preset">Units: </label>
+                <select id="unit-preset" value={preset}
+                        onChange={handlePresetChange}>
+                    {Object.keys(unitPresets).map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </p>
+            <table>
+                <tbody>
+                {Object.keys(unitChoices).map((group) => (
+                    <tr key={group}>
+                        <td>
+                            <label htmlFor={"unit-" + group}>
+                                {unitGroupLabels[group]}
+                            </label>
+                        </td>
+                        <td>
+                            <select
+                                id={"unit-" + group}
+                                value={overrides[group] || unitPresets[preset][group]}
+                                onChange={(e) => handleOverrideChange(group,
+                                    e.target.value)}
+                            >
+                                {unitChoices[group].map((unit) => (
+                                    <option key={unit} value={unit}>
+                                        {unitNames[unit]}
+                                    </option>
+                                ))}
+                            </select>
+                        </td>
+                    </tr>
+                ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
+
+SettingsPanel.propTypes = {
+    unitSettings: PropTypes.shape({
+        preset: PropTypes.string,
+        overrides: PropTypes.objectOf(PropTypes.string),
+    }),
+    onChange: PropTypes.func,
+};
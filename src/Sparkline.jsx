@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { scalePoints } from "./history.js";
+
+/**
+ * Component that draws a small, unlabeled line chart of a series of points.
+ *
+ * @param {object} props
+ * @param {Array<{time: number, value: number}>} props.points - The points,
+ *   oldest first
+ * @param {number} [props.width] - Width in pixels. Default is 100.
+ * @param {number} [props.height] - Height in pixels. Default is 20.
+ * @returns {JSX.Element|null}
+ */
+export const Sparkline = (props) => {
+    const { points } = props;
+    const width = props.width || 100;
+    const height = props.height || 20;
+
+    // Need at least two points to draw a line
+    if (points.length < 2) return null;
+
+    return (
+        <svg
+            xmlns="http://www.w3.org/2000/svg"
+            width={width} height={height}
+            stroke="#023755"
+            fill="none">
+            <polyline
+                points={scalePoints(points, width, height - 2,
+                    points[0].time, points[points.length - 1].time)}
+                transform="translate(0,1)"
+            />
+        </svg>
+    );
+};
+
+Sparkline.propTypes = {
+    points: PropTypes.arrayOf(
+        PropTypes.shape({
+            time: PropTypes.number,
+            value: PropTypes.number,
+        }),
+    ),
+    width: PropTypes.number,
+    height: PropTypes.number,
+};
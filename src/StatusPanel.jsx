@@ -0,0 +1,88 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { boatOptions } from "../flyer.config.js";
+import { formatAge } from "./statusMessages.js";
+import "./App.css";
+
+// Who posted a status, and when
+function Byline(props) {
+    const { status, now } = props;
+    if (!status.author && status.timestamp == null) return null;
+    return (
+        <span className="status-byline">
+            {status.author && <>{status.author}, </>}
+            {status.timestamp != null && (
+                <span title={dayjs(status.timestamp).format("YYYY-MM-DD HH:mm")}>
+                    {formatAge(status.timestamp, now)}
+                </span>
+            )}
+        </span>
+    );
+}
+
+Byline.propTypes = {
+    status: PropTypes.object,
+    now: PropTypes.number,
+};
+
+/**
+ * React function component that shows the current status, how old it is,
+ * and a scrollable list of earlier ones.
+ *
+ * @param {object} props
+ * @param {object|null} props.status - The current status, or null if there is
+ *   none. See statusMessages.js for what it holds.
+ * @param {Array<object>} props.history - Earlier status messages, newest first
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch
+ * @returns {JSX.Element}
+ */
+export function StatusPanel(props) {
+    const { status, history, now } = props;
+
+    return (
+        <>
+            {(status && (
+                <p className={"status-" + status.severity}>
+                    {status.text}{" "}
+                    <Byline status={status} now={now} />
+                </p>
+            )) || (
+                <p>{boatOptions.defaultStatus}</p>
+            )}
+            {history.length > 0 && (
+                <details>
+                    <summary>Earlier status messages</summary>
+                    <ul className="status-history">
+                        {history.map((s, i) => (
+                            <li key={i} className={"status-" + s.severity}>
+                                {s.text}{" "}
+                                <Byline status={s} now={now} />
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </>
+    );
+}
+
+StatusPanel.propTypes = {
+    status: PropTypes.shape({
+        text: PropTypes.string,
+        author: PropTypes.string,
+        timestamp: PropTypes.number,
+        expires: PropTypes.number,
+        severity: PropTypes.string,
+    }),
+    history: PropTypes.arrayOf(PropTypes.object),
+    now: PropTypes.number,
+};
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+import { trackOptions } from "../flyer.config.js";
+import { Control } from "./maps";
+
+/**
+ * Creates a control that selects how much of the track to show, and allows
+ * the track to be cleared.
+ *
+ * @param {object} props
+ * @param {number} props.windowIndex - Index into trackOptions.windows of the
+ *   selected window.
+ * @param {function(number)} props.onWindowChange - Called with the index of
+ *   a newly selected window.
+ * @param {function()} props.onClear - Called when the user wants to start a
+ *   new track.
+ */
+export function TrackControl(props) {
+    const { windowIndex, onWindowChange, onClear } = props;
+
+    function handleClear() {
+        if (window.confirm("Erase the saved track and start a new passage?")) {
+            onClear();
+        }
+    }
+
+    return (
+        <Control position="top-left">
+            <div style={{ marginTop: "20px", marginLeft: "10px" }}>
+                <select
+                    value={windowIndex}
+                    onChange={(e) => onWindowChange(Number(e.target.value))}
+                    title="How much of the track to show"
+                >
+                    {trackOptions.windows.map((w, i) => (
+                        <option key={w.label} value={i}>{w.label}</option>
+                    ))}
+                </select>
+                <button style={{ marginLeft: "5px" }} onClick={handleClear}>
+                    New passage
+                </button>
+            </div>
+        </Control>
+    );
+}
+
+TrackControl.propTypes = {
+    windowIndex: PropTypes.number,
+    onWindowChange: PropTypes.func,
+    onClear: PropTypes.func,
+};
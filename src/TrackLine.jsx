@@ -0,0 +1,38 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { trackOptions } from "../flyer.config.js";
+import { Polyline } from "./maps";
+
+/**
+ * Component that draws the past positions of the boat as a polyline.
+ *
+ * @param {object} props
+ * @param {Array<{lat: number, lng: number}>} props.points - The track points,
+ *   oldest first.
+ * @returns {JSX.Element}
+ */
+export const TrackLine = (props) => {
+    const { points } = props;
+    // Keep the track underneath the boat marker
+    return (
+        <Polyline path={points.map((p) => ({ lat: p.lat, lng: p.lng }))}
+                  color={trackOptions.strokeColor}
+                  zIndex={0} />
+    );
+};
+
+TrackLine.propTypes = {
+    points: PropTypes.arrayOf(
+        PropTypes.shape({
+            lat: PropTypes.number,
+            lng: PropTypes.number,
+        }),
+    ),
+};
@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { Marker } from "./maps";
+import { COGLine } from "./COGLine";
+
+/**
+ * React function component to show a marker for an AIS target: a small
+ * triangle pointing along its heading, plus a line for its COG.
+ *
+ * @param {object} props
+ * @param {object} props.target - The AIS target. See traffic.js for what it
+ *   holds.
+ * @param {boolean} props.dangerous - True if its closest point of approach is
+ *   too close
+ * @param {string} props.title - What to show when hovering over the marker
+ */
+export const TrafficMarker = (props) => {
+    const { target, dangerous, title } = props;
+    const position = { lat: target.lat, lng: target.lng };
+    // Use the heading, but if it's not available, substitute COG
+    const direction = target.heading ?? target.cog ?? 0;
+    const color = dangerous ? "red" : "green";
+
+    return (
+        <>
+            <Marker
+                key="target-position"
+                position={position}
+                title={title}
+            >
+                <div style={{
+                    transform: "translate(0px,8px) rotate(" + direction + "rad)",
+                }}>
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        width="12" height="16"
+                        stroke="black"
+                        fill={color}>
+                        <path d="M6 0 L12 16 L6 12 L0 16 Z" />
+                    </svg>
+                </div>
+            </Marker>
+            <COGLine
+                boatPosition={position}
+                cog={target.cog}
+                sog={target.sog}
+                color={color}
+            />
+        </>
+    );
+};
+
+TrafficMarker.propTypes = {
+    target: PropTypes.shape({
+        lat: PropTypes.number,
+        lng: PropTypes.number,
+        cog: PropTypes.number,
+        sog: PropTypes.number,
+        heading: PropTypes.number,
+    }),
+    dangerous: PropTypes.bool,
+    title: PropTypes.string,
+};
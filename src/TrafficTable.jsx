@@ -0,0 +1,90 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import DataTable from "react-data-table-component";
+import PropTypes from "prop-types";
+
+import { formatValue } from "./units.js";
+
+// Format a time to closest approach, given in seconds
+function formatTCPA(tcpa) {
+    if (tcpa == null) return "";
+    if (tcpa < 0) return "passed";
+    const minutes = Math.floor(tcpa / 60);
+    const seconds = Math.floor(tcpa % 60);
+    return minutes + ":" + String(seconds).padStart(2, "0");
+}
+
+// Format a value, if it is known
+function formatKnown(value, unit_group, unit) {
+    return value == null ? "" : formatValue(value, unit_group, unit);
+}
+
+const tableColumns = [
+    {
+        name: "Name",
+        selector: (row) => row.name || row.mmsi,
+    },
+    {
+        name: "MMSI",
+        selector: (row) => <span className={"tty"}>{row.mmsi}</span>,
+    },
+    {
+        name: "Range",
+        selector: (row) => formatKnown(row.range, "group_distance", "meter"),
+    },
+    {
+        name: "CPA",
+        selector: (row) => formatKnown(row.cpa, "group_distance", "meter"),
+    },
+    {
+        name: "TCPA (min:sec)",
+        selector: (row) => formatTCPA(row.tcpa),
+    },
+    {
+        name: "SOG",
+        selector: (row) => formatKnown(row.sog, "group_speed", "meter_per_second"),
+    },
+    {
+        name: "COG",
+        selector: (row) => formatKnown(row.cog, "group_direction", "radian"),
+    },
+];
+
+// Highlight targets that will come too close
+const conditionalRowStyles = [
+    {
+        when: (row) => row.dangerous,
+        classNames: ["dangerous"],
+    },
+];
+
+/**
+ * React function component that shows a table of AIS targets.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.targets - The targets, as returned by
+ *   assessTargets()
+ * @returns {JSX.Element}
+ */
+export function TrafficTable(props) {
+    const { targets } = props;
+    return (
+        <DataTable
+            data={targets}
+            keyField="context"
+            columns={tableColumns}
+            conditionalRowStyles={conditionalRowStyles}
+            title={<h2> AIS traffic</h2>}
+            responsive
+        />
+    );
+}
+
+TrafficTable.propTypes = {
+    targets: PropTypes.arrayOf(PropTypes.object),
+};
@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import PropTypes from "prop-types";
+
+import { getVesselInfo } from "./utilities.js";
+
+/**
+ * React function component that lets the user pick which vessel to follow
+ * and show in the table. Nothing is shown unless there is a choice to be made.
+ *
+ * @param {object} props
+ * @param {Array<string>} props.contexts - SignalK contexts of the known vessels
+ * @param {string} props.selected - Context of the selected vessel
+ * @param {function(string)} props.onSelect - Called with the context of a
+ *   newly selected vessel.
+ * @returns {JSX.Element|null}
+ */
+export function VesselPicker(props) {
+    const { contexts, selected, onSelect } = props;
+
+    if (contexts.length < 2) return null;
+
+    return (
+        <p>
+            <label htmlFor="vessel-picker"><strong><em>Vessel</em></strong> </label>
+            <select
+                id="vessel-picker"
+                value={selected}
+                onChange={(e) => onSelect(e.target.value)}
+            >
+                {contexts.map((context) => (
+                    <option key={context} value={context}>
+                        {getVesselInfo(context).name}
+                    </option>
+                ))}
+            </select>
+        </p>
+    );
+}
+
+VesselPicker.propTypes = {
+    contexts: PropTypes.arrayOf(PropTypes.string),
+    selected: PropTypes.string,
+    onSelect: PropTypes.func,
+};
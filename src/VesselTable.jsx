@@ -5,21 +5,31 @@
  * LICENSE file in the root directory of this source tree.
  */
 
+import { useState } from "react";
 import Fader from "react-fader";
 import DataTable from "react-data-table-component";
-import { orderArray } from "./utilities.js";
-import { tableOptions } from "../flyer.config.js";
+import { isStale, orderArray } from "./utilities.js";
+import { getRecentPoints } from "./history.js";
+import { Sparkline } from "./Sparkline";
+import { HistoryChart } from "./HistoryChart";
+import { historyOptions, tableOptions } from "../flyer.config.js";
 import PropTypes from "prop-types";
 
 const tableColumns = [
     {
         name: "Property",
-        selector: (row) => row.label,
+        selector: (row) => row.calculated
+            ? <>{row.label} <em className="calculated">calculated</em></>
+            : row.label,
     },
     {
         name: "Value",
         selector: (row) => <Fader>{row.value}</Fader>,
     },
+    {
+        name: "Trend",
+        selector: (row) => <Sparkline points={row.trend} />,
+    },
     {
         name: "Last update",
         selector: (row) => <Fader>{row.last_update}</Fader>,
@@ -31,24 +41,83 @@ const tableColumns = [
 ];
 
 /**
- * React function component that shows a table of current values.
+ * React function component that shows a table of current values. Clicking
+ * on a row shows a chart of its history. The paths in tableOptions.order come
+ * first, in that order. If the user asks for all paths, every other path seen
+ * follows, sorted.
  *
  * @param {object} props
  * @param {FormattedState} props.formattedState
+ * @param {HistoryState} props.history - The history of each path
+ * @param {string} [props.name] - Name of the vessel the values belong to
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch. Used to decide which values are stale.
  * @returns {JSX.Element}
  */
 export function VesselTable(props) {
-    const { formattedState } = props;
+    const { formattedState, history, name, now } = props;
+    // The path whose history chart is showing, or null if none is.
+    const [chartPath, setChartPath] = useState(null);
+    // Whether the user asked to show every path, rather than just those in
+    // tableOptions.order. Null until they do, so the configured choice,
+    // which can change, is followed.
+    const [showAllChoice, setShowAll] = useState(null);
+    const showAll = showAllChoice ?? tableOptions.showAll;
+
+    const ordering = showAll
+        ? [...tableOptions.order, ...Object.keys(formattedState)
+            .filter((key) => !tableOptions.order.includes(key))
+            .sort()]
+        : tableOptions.order;
+
+    // Attach the recent history of each row, for its sparkline
+    const rows = orderArray(ordering, formattedState).map((row) => ({
+        ...row,
+        trend: getRecentPoints(history[row.key],
+            historyOptions.sparklineLength, now),
+    }));
+
+    // Gray out any values that have not been updated in a while
+    const conditionalRowStyles = [
+        {
+            when: (row) => isStale(row.key, row.timestamp, now),
+            classNames: ["stale"],
+        },
+    ];
+
     return (
-        <DataTable
-            data={orderArray(tableOptions.order, formattedState)}
-            columns={tableColumns}
-            title={<h2> Current values</h2>}
-            responsive
-        />
+        <>
+            <DataTable
+                data={rows}
+                columns={tableColumns}
+                conditionalRowStyles={conditionalRowStyles}
+                title={<h2> Current values{name && ": " + name}</h2>}
+                actions={
+                    <label>
+                        <input type="checkbox" checked={showAll}
+                               onChange={(e) => setShowAll(e.target.checked)} />
+                        {" "}Show all paths
+                    </label>
+                }
+                onRowClicked={(row) => setChartPath(row.key)}
+                pointerOnHover
+                highlightOnHover
+                responsive
+            />
+            {chartPath && history[chartPath] &&
+                <HistoryChart path={chartPath}
+                              label={formattedState[chartPath]?.label}
+                              history={history[chartPath]}
+                              now={now}
+                              onClose={() => setChartPath(null)} />
+            }
+        </>
     );
 }
 
 VesselTable.propTypes = {
     formattedState: PropTypes.objectOf(PropTypes.object),
+    history: PropTypes.objectOf(PropTypes.object),
+    name: PropTypes.string,
+    now: PropTypes.number,
 };
@@ -23,7 +23,7 @@ const TOPMARGIN = 20;   // The distance from the top of the box to the top of th
  * @param {number} props.windSpeed - The wind speed in meters per second
  * @returns {JSXElement}
  */
-const SVGWindBarb = (props) => {
+export const SVGWindBarb = (props) => {
     const { windSpeed } = props;
 
     // Convert from m/s to knots
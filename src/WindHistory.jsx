@@ -0,0 +1,251 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import dayjs from "dayjs";
+
+import { historyOptions, windOptions } from "../flyer.config.js";
+import { formatPathValue, formatValue } from "./units.js";
+import { getWindSummary } from "./wind.js";
+import { SVGWindBarb } from "./WindBarb.jsx";
+import "./App.css";
+
+const ROSE = 200;       // The width and height of the wind rose
+const WIDTH = 400;      // The width of the direction chart
+const HEIGHT = 200;     // Its height
+const LEFTMARGIN = 50;  // Room for the direction labels
+const BOTTOMMARGIN = 20; // Room for the time labels
+
+// Format a direction, in the units chosen for directions
+function formatDirection(value) {
+    return formatPathValue("environment.wind.directionTrue", value, "radian");
+}
+
+// Format a speed, in the units chosen for speeds
+function formatSpeed(value) {
+    return formatPathValue("environment.wind.speedTrue", value, "meter_per_second");
+}
+
+// The point at a given radius and bearing from the center of the rose
+function rosePoint(radius, bearing) {
+    return [ROSE / 2 + radius * Math.sin(bearing), ROSE / 2 - radius * Math.cos(bearing)];
+}
+
+/**
+ * A wind rose: a petal for each sector, as long as the share of the time the
+ * wind came from it, plus a line toward the mean direction.
+ *
+ * @param {object} props
+ * @param {object} props.summary - The wind summary. See wind.js.
+ * @param {boolean} props.variable - True if the wind is too variable for a
+ *   mean direction
+ * @returns {JSX.Element}
+ */
+function WindRose(props) {
+    const { summary, variable } = props;
+    const { sectors, mean } = summary;
+    const most = Math.max(...sectors.map((s) => s.count));
+    const width = 2 * Math.PI / sectors.length;
+    const outer = ROSE / 2 - 15;
+
+    return (
+        <svg xmlns="http://www.w3.org/2000/svg" width={ROSE} height={ROSE} fontSize="11">
+            <circle cx={ROSE / 2} cy={ROSE / 2} r={outer} fill="none" stroke="#ccc" />
+            <circle cx={ROSE / 2} cy={ROSE / 2} r={outer / 2} fill="none" stroke="#eee" />
+            {[["N", 0], ["E", Math.PI / 2], ["S", Math.PI], ["W", 3 * Math.PI / 2]].map(
+                ([label, bearing]) => {
+                    const [x, y] = rosePoint(outer + 8, bearing);
+                    return (
+                        <text key={label} x={x} y={y + 4} textAnchor="middle">{label}</text>
+                    );
+                })}
+            {sectors.map((sector, i) => {
+                if (!sector.count) return null;
+                const radius = outer * sector.count / most;
+                const [x1, y1] = rosePoint(radius, i * width - width / 2);
+                const [x2, y2] = rosePoint(radius, i * width + width / 2);
+                return (
+                    <path key={i}
+                          d={`M${ROSE / 2} ${ROSE / 2} L${x1} ${y1} ` +
+                              `A${radius} ${radius} 0 0 1 ${x2} ${y2} Z`}
+                          fill="#023755" fillOpacity="0.6" stroke="white">
+                        <title>
+                            {`${formatDirection(i * width)}: ${sector.count} readings, ` +
+                                `mean ${formatSpeed(sector.speed)}`}
+                        </title>
+                    </path>
+                );
+            })}
+            {!variable && (
+                <line x1={ROSE / 2} y1={ROSE / 2}
+                      x2={rosePoint(outer, mean)[0]} y2={rosePoint(outer, mean)[1]}
+                      stroke="red" strokeWidth="2" />
+            )}
+        </svg>
+    );
+}
+
+WindRose.propTypes = {
+    summary: PropTypes.object,
+    variable: PropTypes.bool,
+};
+
+/**
+ * A chart of the wind direction over time, centered on the mean direction.
+ * Veering is up, backing down.
+ *
+ * @param {object} props
+ * @param {object} props.summary - The wind summary. See wind.js.
+ * @param {number} props.start - Time at the left edge, in milliseconds since
+ *   the unix epoch
+ * @param {number} props.end - Time at the right edge
+ * @returns {JSX.Element}
+ */
+function DirectionChart(props) {
+    const { summary, start, end } = props;
+    const { samples, mean } = summary;
+    const points = samples.map((s) => {
+        const offset = ((s.direction - mean + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+        const x = ((s.time - start) / (end - start)) * WIDTH;
+        const y = HEIGHT / 2 - (offset / Math.PI) * (HEIGHT / 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    return (
+        <svg xmlns="http://www.w3.org/2000/svg"
+             width={WIDTH + LEFTMARGIN} height={HEIGHT + BOTTOMMARGIN}
+             fontSize="11">
+            <g transform={`translate(${LEFTMARGIN},0)`}>
+                <rect width={WIDTH} height={HEIGHT} fill="none" stroke="#ccc" />
+                <line x1={0} y1={HEIGHT / 2} x2={WIDTH} y2={HEIGHT / 2}
+                      stroke="red" strokeDasharray="4 4" />
+                <polyline points={points.join(" ")} stroke="#023755" fill="none" />
+            </g>
+            <text x={LEFTMARGIN - 5} y={12} textAnchor="end">
+                {formatDirection((mean + Math.PI) % (2 * Math.PI))}
+            </text>
+            <text x={LEFTMARGIN - 5} y={HEIGHT / 2 + 4} textAnchor="end">
+                {formatDirection(mean)}
+            </text>
+            <text x={LEFTMARGIN - 5} y={HEIGHT} textAnchor="end">
+                {formatDirection((mean + Math.PI) % (2 * Math.PI))}
+            </text>
+            <text x={LEFTMARGIN} y={HEIGHT + 15}>
+                {dayjs(start).format("HH:mm")}
+            </text>
+            <text x={LEFTMARGIN + WIDTH} y={HEIGHT + 15} textAnchor="end">
+                {dayjs(end).format("HH:mm")}
+            </text>
+        </svg>
+    );
+}
+
+DirectionChart.propTypes = {
+    summary: PropTypes.object,
+    start: PropTypes.number,
+    end: PropTypes.number,
+};
+
+/**
+ * React function component that shows a rolling record of the true wind: a
+ * wind rose, the direction over time, the mean direction and speed, the
+ * gusts and lulls, and whether the wind is veering or backing.
+ *
+ * @param {object} props
+ * @param {HistoryState} props.history - The history of the vessel's values
+ * @param {number} props.now - The current time in milliseconds since the unix
+ *   epoch.
+ * @returns {JSX.Element}
+ */
+export function WindHistory(props) {
+    const { history, now } = props;
+    const [rangeIndex, setRangeIndex] = useState(historyOptions.defaultRange);
+
+    const range = historyOptions.ranges[rangeIndex];
+    const summary = getWindSummary(history, range.length, now);
+    const variable = summary != null && summary.steadiness < windOptions.minSteadiness;
+
+    let shift = null;
+    if (summary?.shift != null) {
+        const size = formatValue(Math.abs(summary.shift), "group_angle", "radian");
+        if (Math.abs(summary.shift) * 180 / Math.PI < windOptions.shiftThreshold) {
+            shift = "Steady";
+        } else {
+            shift = summary.shift > 0 ? `↻ Veering ${size}` : `↺ Backing ${size}`;
+        }
+    }
+
+    return (
+        <details className="settings">
+            <summary><strong>Wind history</strong></summary>
+            <p>
+                {historyOptions.ranges.map((r, i) => (
+                    <button key={r.label}
+                            disabled={i === rangeIndex}
+                            onClick={() => setRangeIndex(i)}>
+                        {r.label}
+                    </button>
+                ))}
+            </p>
+            {summary == null ? (
+                <p>No true wind yet for this time range.</p>
+            ) : (
+                <div className="wind-history">
+                    <WindRose summary={summary} variable={variable} />
+                    <DirectionChart summary={summary}
+                                    start={now - range.length * 1000}
+                                    end={now} />
+                    <div>
+                        <table>
+                            <tbody>
+                                <tr>
+                                    <th>Mean direction</th>
+                                    <td>{variable ? "Variable" : formatDirection(summary.mean)}</td>
+                                </tr>
+                                <tr>
+                                    <th>Mean speed</th>
+                                    <td>{formatSpeed(summary.speed)}</td>
+                                </tr>
+                                <tr>
+                                    <th>Gust</th>
+                                    <td>{formatSpeed(summary.gust)}</td>
+                                </tr>
+                                <tr>
+                                    <th>Lull</th>
+                                    <td>{formatSpeed(summary.lull)}</td>
+                                </tr>
+                                <tr>
+                                    <th title={`Over the last ${windOptions.shiftWindow / 60} min`}>
+                                        Shift
+                                    </th>
+                                    <td>{shift ?? "Not enough data"}</td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        {!variable && (
+                            <div className="wind-legend">
+                                <div style={{
+                                    transformOrigin: "center bottom",
+                                    transform: "rotate(" + summary.mean + "rad)",
+                                }}>
+                                    <SVGWindBarb windSpeed={summary.speed} />
+                                </div>
+                                <span>Mean wind</span>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </details>
+    );
+}
+
+WindHistory.propTypes = {
+    history: PropTypes.object,
+    now: PropTypes.number,
+};
@@ -0,0 +1,21 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import { AdminConsole } from "./AdminConsole";
+import { ConfigError } from "./ConfigError";
+import { loadConfig } from "./config.js";
+
+// The runtime configuration has to be in place before the console starts
+loadConfig().then((errors) => {
+    createRoot(document.getElementById("root")).render(
+        <StrictMode>
+            {errors.length ? <ConfigError errors={errors} /> : <AdminConsole />}
+        </StrictMode>,
+    );
+});
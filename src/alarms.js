@@ -0,0 +1,226 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { alarmOptions } from "../flyer.config.js";
+import { canConvert, convertValue, getPathLabel, unitLabels } from "./units.js";
+import { getVesselInfo } from "./utilities.js";
+
+/*
+    An alarm rule is written in display units. It looks like:
+    {
+        "id": "1723416761018",
+        "path": "environment.outside.pressure",
+        "operator": "drop",
+        "threshold": 3,
+        "unit": "millibar",
+        "window": 10800
+    }
+    The operator is one of "<", ">", "drop", or "rise". The last two compare
+    the change in the value over the last "window" seconds against the
+    threshold. For "<" and ">", "window" is not used.
+
+    An alarm is raised either by a rule, or by a SignalK notification. Alarms
+    are keyed by their source and the vessel they are about. One looks like:
+    {
+        "key": "rule|1723416761018|vessels.urn:mrn:imo:mmsi:367199590",
+        "source": "rule",
+        "context": "vessels.urn:mrn:imo:mmsi:367199590",
+        "message": "Western Flyer: Pressure dropped 3.4 mbar in 3 h",
+        "since": 1723416761018,
+        "acknowledged": false,
+        "snoozedUntil": null,
+        "notified": true,
+        "clearingSince": null
+    }
+    Times are in milliseconds since the unix epoch. "clearingSince" is when
+    the rule of an alarm raised by one was last found to be no longer broken,
+    or null if it still is. The alarm is cleared once that was
+    alarmOptions.clearDelay ago.
+ */
+
+export const operators = {
+    "<": "below",
+    ">": "above",
+    drop: "drops by more than",
+    rise: "rises by more than",
+};
+
+// The states of a SignalK notification that call for attention
+const alertStates = ["alert", "warn", "alarm", "emergency"];
+
+// Format a length of time in seconds, such as "3 h" or "30 min"
+function formatWindow(seconds) {
+    return seconds % 3600 === 0 ? seconds / 3600 + " h" : seconds / 60 + " min";
+}
+
+/**
+ * Describe a rule in words, such as "Pressure drops by more than 3 mbar in 3 h"
+ * @param {object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    let description = getPathLabel(rule.path) + " " +
+        operators[rule.operator] + " " + rule.threshold +
+        (unitLabels[rule.unit] || " " + rule.unit);
+    if (rule.operator === "drop" || rule.operator === "rise") {
+        description += " in " + formatWindow(rule.window);
+    }
+    return description;
+}
+
+/**
+ * Check a rule against the current values of a vessel.
+ * @param {object} rule - The rule
+ * @param {VesselState} vesselState - Current values of the vessel
+ * @param {HistoryState} history - History of its values
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {number|null} The value that broke the rule, in the rule's unit,
+ *   or null if the rule is not broken.
+ */
+export function evaluateRule(rule, vesselState, history, now) {
+    const current = vesselState[rule.path];
+    if (typeof current?.value !== "number") return null;
+    // A rule saved in a unit the value cannot be put into is never broken
+    if (!canConvert(current.unit, rule.unit)) return null;
+    const value = convertValue(current.value, current.unit, rule.unit);
+
+    switch (rule.operator) {
+        case "<":
+            return value < rule.threshold ? value : null;
+        case ">":
+            return value > rule.threshold ? value : null;
+        case "drop":
+        case "rise": {
+            // Compare against the oldest value within the window
+            const start = now - rule.window * 1000;
+            const past = history[rule.path]?.points.find((p) => p.time >= start);
+            if (!past) return null;
+            const change = value - convertValue(past.value, current.unit, rule.unit);
+            const amount = rule.operator === "drop" ? -change : change;
+            return amount > rule.threshold ? amount : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// Raise an alarm, or update one already raised
+function raise(alarms, key, fields, now) {
+    const old = alarms[key];
+    alarms[key] = {
+        key,
+        since: now,
+        acknowledged: false,
+        snoozedUntil: null,
+        notified: false,
+        ...old,
+        ...fields,
+    };
+}
+
+/**
+ * Run every rule against every vessel, raising and clearing alarms. An alarm
+ * is kept, acknowledged or not, until its rule has stayed unbroken for
+ * alarmOptions.clearDelay.
+ * @param {object} oldAlarms - The alarms, keyed by alarm key. It is not changed.
+ * @param {Array<object>} rules - The rules
+ * @param {FleetState} fleetState - The state of every vessel
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {object} The new alarms. If nothing changed, this is oldAlarms.
+ */
+export function runRules(oldAlarms, rules, fleetState, now) {
+    let alarms = {};
+    // Alarms raised by SignalK are left alone
+    for (const alarm of Object.values(oldAlarms)) {
+        if (alarm.source !== "rule") alarms[alarm.key] = alarm;
+    }
+    for (const [context, vessel] of Object.entries(fleetState)) {
+        for (const rule of rules) {
+            const value = evaluateRule(rule, vessel.vesselState, vessel.history, now);
+            const key = ["rule", rule.id, context].join("|");
+            const old = oldAlarms[key];
+            if (value == null) {
+                if (!old) continue;
+                const clearingSince = old.clearingSince ?? now;
+                if (now - clearingSince < alarmOptions.clearDelay * 1000) {
+                    alarms[key] = { ...old, clearingSince };
+                }
+                continue;
+            }
+            const message = getVesselInfo(context).name + ": " +
+                getPathLabel(rule.path) + " is " +
+                (rule.operator === "drop" ? "down " : rule.operator === "rise" ? "up " : "") +
+                value.toFixed(1) + (unitLabels[rule.unit] || " " + rule.unit) +
+                " (" + describeRule(rule) + ")";
+            alarms[key] = old;
+            raise(alarms, key, { source: "rule", context, message, clearingSince: null }, now);
+        }
+    }
+    return JSON.stringify(alarms) === JSON.stringify(oldAlarms) ? oldAlarms : alarms;
+}
+
+/**
+ * Raise or clear alarms from SignalK "notifications.*" updates.
+ * @param {object} oldAlarms - The alarms, keyed by alarm key. It is not changed.
+ * @param {string} context - The vessel the notifications are about
+ * @param {Array<Update>} updates - The notification updates
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {object} The new alarms
+ */
+export function mergeNotifications(oldAlarms, context, updates, now) {
+    let alarms = { ...oldAlarms };
+    for (const update of updates) {
+        const key = ["signalk", update.key, context].join("|");
+        const notification = update.value;
+        if (notification && alertStates.includes(notification.state)) {
+            const message = getVesselInfo(context).name + ": " +
+                (notification.message || update.key) +
+                " (" + notification.state + ")";
+            raise(alarms, key, { source: "signalk", context, message }, now);
+        } else {
+            // A null value, or a state of "normal" or "nominal", clears it
+            delete alarms[key];
+        }
+    }
+    return alarms;
+}
+
+/**
+ * Does an alarm need attention? That is, it has not been acknowledged, and
+ * is not snoozed.
+ * @param {object} alarm
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {boolean}
+ */
+export function needsAttention(alarm, now) {
+    return !alarm.acknowledged && !(alarm.snoozedUntil > now);
+}
+
+// Retrieve something saved in browser storage, or a default
+function load(key, defaultValue) {
+    try {
+        const saved = localStorage.getItem(key);
+        if (saved) return JSON.parse(saved);
+    } catch (err) {
+        console.error("Unable to load " + key + ":", err);
+    }
+    return defaultValue;
+}
+
+// Save something in browser storage
+function save(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.error("Unable to save " + key + ":", err);
+    }
+}
+
+export const loadRules = () => load(alarmOptions.rulesKey, []);
+export const saveRules = (rules) => save(alarmOptions.rulesKey, rules);
+export const loadAlarms = () => load(alarmOptions.alarmsKey, {});
+export const saveAlarms = (alarms) => save(alarmOptions.alarmsKey, alarms);
@@ -0,0 +1,59 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/*
+    Ways of getting the attention of someone who may not be looking at the
+    page: a browser notification, and a sound.
+ */
+
+/**
+ * Ask for permission to post browser notifications, if it has not already
+ * been decided. This must be called in response to a user action, such as
+ * a click.
+ */
+export function requestNotificationPermission() {
+    if ("Notification" in window && Notification.permission === "default") {
+        Notification.requestPermission().catch((err) =>
+            console.error("Unable to get permission for notifications:", err));
+    }
+}
+
+/**
+ * Post a browser notification, if the user has allowed them.
+ * @param {string} title - Title of the notification
+ * @param {string} body - Its text
+ * @param {string} [tag] - Notifications with the same tag replace each other
+ */
+export function sendNotification(title, body, tag) {
+    if ("Notification" in window && Notification.permission === "granted") {
+        new Notification(title, { body, tag, icon: "/flyer-map/favicon.ico" });
+    }
+}
+
+// An audio context is created the first time it is needed.
+let audioContext = null;
+
+/**
+ * Sound a short, two-tone alarm. Browsers only allow this once the user has
+ * interacted with the page.
+ */
+export function soundAlarm() {
+    try {
+        if (!audioContext) audioContext = new AudioContext();
+        const start = audioContext.currentTime;
+        [880, 660, 880, 660].forEach((frequency, i) => {
+            const oscillator = audioContext.createOscillator();
+            oscillator.type = "square";
+            oscillator.frequency.value = frequency;
+            oscillator.connect(audioContext.destination);
+            oscillator.start(start + i * 0.25);
+            oscillator.stop(start + i * 0.25 + 0.2);
+        });
+    } catch (err) {
+        console.error("Unable to sound alarm:", err);
+    }
+}
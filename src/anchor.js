@@ -0,0 +1,80 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { anchorOptions } from "../flyer.config.js";
+import { getDistance } from "./utilities.js";
+
+/*
+    An anchor watch looks like:
+    {
+        "context": "vessels.urn:mrn:imo:mmsi:367199590",
+        "lat": 36.6085,
+        "lng": -121.8932,
+        "radius": 50,
+        "set_at": 1723416761018
+    }
+    where "context" is the vessel being watched, "radius" is the swing radius
+    in meters, and "set_at" is when the watch was set, in milliseconds since
+    the unix epoch. It is shared with other viewers as the JSON payload of a
+    retained MQTT message. An empty payload means there is no watch.
+ */
+
+/**
+ * Parse an anchor watch out of an MQTT payload.
+ * @param {string} payload
+ * @returns {object|null} The watch, or null if there is none, or it is not
+ *   valid.
+ */
+export function parseAnchorWatch(payload) {
+    if (!payload) return null;
+    try {
+        const watch = JSON.parse(payload);
+        // Without a context, there is no telling which vessel is watched
+        if (typeof watch.context === "string" && typeof watch.lat === "number" &&
+            typeof watch.lng === "number" && typeof watch.radius === "number") {
+            return watch;
+        }
+    } catch (err) {
+        console.error("Bad anchor watch:", err);
+    }
+    return null;
+}
+
+/**
+ * Check how far a vessel is from its anchor.
+ * @param {object} watch - The anchor watch
+ * @param {{lat: number, lng: number}} position - Where the vessel is
+ * @returns {{distance: number, dragging: boolean}} The distance from the
+ *   anchor in meters, and whether the vessel is outside the swing radius.
+ */
+export function checkAnchor(watch, position) {
+    const distance = getDistance(watch, position);
+    return { distance, dragging: distance > watch.radius };
+}
+
+// Retrieve the anchor watch from browser storage
+export function loadAnchorWatch() {
+    try {
+        return parseAnchorWatch(localStorage.getItem(anchorOptions.storageKey));
+    } catch (err) {
+        console.error("Unable to load saved anchor watch:", err);
+    }
+    return null;
+}
+
+// Save the anchor watch to browser storage. Null removes it.
+export function saveAnchorWatch(watch) {
+    try {
+        if (watch) {
+            localStorage.setItem(anchorOptions.storageKey, JSON.stringify(watch));
+        } else {
+            localStorage.removeItem(anchorOptions.storageKey);
+        }
+    } catch (err) {
+        console.error("Unable to save anchor watch:", err);
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+
+import { cacheOptions } from "../flyer.config.js";
+import { FleetState, Update } from "./utilities.js";
+
+/*
+    The last known state is kept in browser storage, so a reload can show it
+    right away. It looks like:
+    {
+        "savedAt": 1723416761018,
+        "status": {"text": "Underway to Monterey", ...},
+        "vessels": {
+            "vessels.urn:mrn:imo:mmsi:367199590": [
+                {"key": "navigation.speedOverGround", "value": 3.2,
+                 "unit": "meter_per_second", "last_update": 1723416760000,
+                 "calculated": false},
+                ...
+            ]
+        }
+    }
+    where times are in milliseconds since the unix epoch, and "calculated" is
+    true for a value the app worked out, rather than one the boat sent. The
+    status is as described in statusMessages.js. A cache saved by an older
+    version holds it as a plain string instead. Only the current values are
+    kept. They are formatted over again when restored.
+ */
+
+/**
+ * Save the last known state of every vessel, and the status.
+ * @param {FleetState} fleetState
+ * @param {object|null} status - The status last published
+ */
+export function saveCachedState(fleetState, status) {
+    let vessels = {};
+    for (const [context, vessel] of Object.entries(fleetState)) {
+        vessels[context] = Object.values(vessel.vesselState).map((u) => ({
+            key: u.key,
+            value: u.value,
+            unit: u.unit,
+            last_update: u.last_update.valueOf(),
+            calculated: u.calculated || false,
+        }));
+    }
+    try {
+        localStorage.setItem(cacheOptions.storageKey,
+            JSON.stringify({ savedAt: Date.now(), status, vessels }));
+    } catch (err) {
+        console.error("Unable to save the last known state:", err);
+    }
+}
+
+/**
+ * Retrieve the last known state.
+ * @returns {{fleetState: FleetState, status: object|string|null,
+ *   savedAt: number}|null}
+ *   The state, or null if none was saved.
+ */
+export function loadCachedState() {
+    try {
+        const saved = localStorage.getItem(cacheOptions.storageKey);
+        if (!saved) return null;
+        const { savedAt, status, vessels } = JSON.parse(saved);
+        let fleetState = new FleetState();
+        for (const [context, updates] of Object.entries(vessels)) {
+            fleetState.mergeUpdates(context, updates.map((u) =>
+                new Update(u.key, u.value, u.unit, dayjs(u.last_update),
+                    u.calculated || false)));
+        }
+        return { fleetState, status, savedAt };
+    } catch (err) {
+        console.error("Unable to load the last known state:", err);
+        return null;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {
+    boatOptions,
+    configOptions,
+    currentOptions,
+    derivedOptions,
+    markerOptions,
+    mqttOptions,
+    signalkOptions,
+    tableOptions,
+    transportOptions,
+} from "../flyer.config.js";
+
+/*
+    The runtime configuration is a JSON file served next to index.html, at
+    configOptions.url. It overrides the settings in flyer.config.js, without a
+    rebuild. It looks like:
+    {
+        "boatOptions": {"defaultStatus": "Back in the water in March."},
+        "mqttOptions": {"brokerUrl": "wss://example.org:9001", "vesselId": "367199590"},
+        "tableOptions": {"order": ["navigation.speedOverGround"]},
+        "markerOptions": {"minCOGLength": 10}
+    }
+    Only the settings given are changed. transportOptions and signalkOptions
+    can be set as well. A retained message on configOptions.topic can
+    override them again, in the same form, except for the ones that say how
+    to connect: the app is already connected by the time it arrives.
+
+    The settings are changed in place, so every module that imports them
+    sees the new values.
+ */
+
+// The settings that can be overridden, the type each must have, and for
+// some, the values allowed
+const schema = {
+    boatOptions: {
+        target: boatOptions,
+        properties: { defaultStatus: ["string"] },
+    },
+    mqttOptions: {
+        target: mqttOptions,
+        properties: {
+            brokerUrl: ["string"],
+            clientId: ["string"],
+            username: ["string", "null"],
+            password: ["string", "null"],
+            vesselId: ["string", "string[]"],
+        },
+    },
+    transportOptions: {
+        target: transportOptions,
+        properties: { type: ["string"] },
+        allowed: { type: ["mqtt", "signalk"] },
+    },
+    signalkOptions: {
+        target: signalkOptions,
+        properties: {
+            url: ["string"],
+            context: ["string"],
+            paths: ["string[]"],
+            period: ["number"],
+            reconnectPeriod: ["number"],
+        },
+    },
+    tableOptions: {
+        target: tableOptions,
+        properties: { order: ["string[]"], showAll: ["boolean"] },
+    },
+    markerOptions: {
+        target: markerOptions,
+        properties: { minCOGLength: ["number"] },
+    },
+    currentOptions: {
+        target: currentOptions,
+        properties: { window: ["number"], duration: ["number"], minDrift: ["number"] },
+    },
+    derivedOptions: {
+        target: derivedOptions,
+        properties: { enabled: ["boolean"], leewayFactor: ["number"] },
+    },
+};
+
+// The sections that say how to connect. They cannot be overridden over MQTT.
+const connectionSections = ["mqttOptions", "transportOptions", "signalkOptions"];
+
+// The settings as they were before any override came in over MQTT
+let baseConfig = null;
+
+// Return the type of a value, in the terms used by the schema
+function getType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) {
+        return value.every((v) => typeof v === "string") ? "string[]" : "array";
+    }
+    return typeof value;
+}
+
+/**
+ * Check a configuration against the schema.
+ * @param {*} config - The configuration, as parsed from JSON
+ * @param {Array<string>} [sections] - The sections it may hold. Default is
+ *   every section that can be overridden.
+ * @returns {Array<string>} What is wrong with it. Empty if nothing.
+ */
+export function validateConfig(config, sections = Object.keys(schema)) {
+    if (getType(config) !== "object") return ["The configuration must be a JSON object."];
+    const errors = [];
+    for (const [section, settings] of Object.entries(config)) {
+        if (!sections.includes(section)) {
+            errors.push(`"${section}" cannot be set here. Use one of: ${sections.join(", ")}.`);
+            continue;
+        }
+        if (getType(settings) !== "object") {
+            errors.push(`"${section}" must be an object.`);
+            continue;
+        }
+        const { properties, allowed = {} } = schema[section];
+        for (const [name, value] of Object.entries(settings)) {
+            const types = properties[name];
+            if (!types) {
+                errors.push(`"${section}.${name}" is not a setting. Use one of: ` +
+                    Object.keys(properties).join(", ") + ".");
+            } else if (!types.includes(getType(value))) {
+                errors.push(`"${section}.${name}" must be ${types.join(" or ")}, ` +
+                    `not ${getType(value)}.`);
+            } else if (allowed[name] && !allowed[name].includes(value)) {
+                errors.push(`"${section}.${name}" must be one of: ` +
+                    allowed[name].join(", ") + ".");
+            }
+        }
+    }
+    return errors;
+}
+
+// Change the settings in place
+function applyConfig(config) {
+    for (const [section, settings] of Object.entries(config)) {
+        Object.assign(schema[section].target, settings);
+    }
+}
+
+// Parse a configuration out of JSON, and check it. Returns the configuration
+// and what is wrong with it.
+function parseConfig(text, source, sections) {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (err) {
+        return { config: null, errors: [`${source} is not valid JSON: ${err.message}`] };
+    }
+    const errors = validateConfig(config, sections).map((e) => `${source}: ${e}`);
+    return { config, errors };
+}
+
+/**
+ * Load the runtime configuration file, and apply it. A missing file, or one
+ * that cannot be fetched because the app is offline, leaves the settings in
+ * flyer.config.js as they are.
+ * @returns {Promise<Array<string>>} What is wrong with the file. Empty if
+ *   nothing. If anything is wrong, none of it is applied.
+ */
+export async function loadConfig() {
+    let text = null;
+    const url = import.meta.env.BASE_URL + configOptions.url;
+    try {
+        const response = await fetch(url, { cache: "no-cache" });
+        if (response.ok) {
+            text = await response.text();
+        } else if (response.status === 404) {
+            // The file is optional, but say so, in case it was meant to be there
+            console.log("No configuration at", url + ", so flyer.config.js is used as is.");
+        } else {
+            console.error("Unable to fetch configuration:", response.status,
+                response.statusText);
+        }
+    } catch (err) {
+        console.error("Unable to fetch configuration:", err);
+    }
+
+    if (text != null) {
+        const { config, errors } = parseConfig(text, configOptions.url);
+        if (errors.length) return errors;
+        applyConfig(config);
+    }
+    baseConfig = Object.fromEntries(Object.entries(schema)
+        .map(([section, { target }]) => [section, structuredClone(target)]));
+    return [];
+}
+
+/**
+ * Apply an override of the configuration that came in over MQTT, on top of
+ * the configuration file. An empty payload removes any earlier override.
+ * @param {string} payload - The configuration, as JSON
+ * @returns {Array<string>} What is wrong with it. Empty if nothing. If
+ *   anything is wrong, none of it is applied.
+ */
+export function applyConfigOverride(payload) {
+    const sections = Object.keys(schema).filter((s) => !connectionSections.includes(s));
+    const { config, errors } = payload
+        ? parseConfig(payload, `The "${configOptions.topic}" topic`, sections)
+        : { config: {}, errors: [] };
+    if (errors.length) return errors;
+    if (baseConfig) applyConfig(baseConfig);
+    applyConfig(config);
+    return [];
+}
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it } from "vitest";
+import { applyConfigOverride, validateConfig } from "./config.js";
+
+describe("validateConfig", () => {
+    it("accepts settings of the right types", () => {
+        expect(validateConfig({
+            mqttOptions: { brokerUrl: "wss://example.org:9001", vesselId: ["1", "2"] },
+            markerOptions: { minCOGLength: 20 },
+        })).toEqual([]);
+    });
+
+    it("says what is wrong", () => {
+        expect(validateConfig({
+            nothing: {},
+            markerOptions: { minCOGLength: "20", colour: "red" },
+        })).toEqual([
+            expect.stringContaining(`"nothing" cannot be set here`),
+            `"markerOptions.minCOGLength" must be number, not string.`,
+            expect.stringContaining(`"markerOptions.colour" is not a setting`),
+        ]);
+    });
+
+    it("knows only the transports there are", () => {
+        expect(validateConfig({ transportOptions: { type: "pigeon" } }))
+            .toEqual([expect.stringContaining("must be one of: mqtt, signalk")]);
+    });
+
+    it("wants an object", () => {
+        expect(validateConfig([])).toEqual(["The configuration must be a JSON object."]);
+    });
+});
+
+describe("applyConfigOverride", () => {
+    it("refuses the connection settings, and bad JSON", () => {
+        expect(applyConfigOverride(`{"mqttOptions": {"brokerUrl": "wss://x"}}`))
+            .toEqual([expect.stringContaining(`"mqttOptions" cannot be set here`)]);
+        expect(applyConfigOverride("{")).toEqual([expect.stringContaining("is not valid JSON")]);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+import { currentOptions } from "../flyer.config.js";
+import { getSignalKUnit } from "./units.js";
+import { Update } from "./utilities.js";
+
+/*
+    The current is the difference between how the boat moves over the ground
+    (SOG and COG) and how it moves through the water (STW and heading). Each
+    is split into a part toward the east ("x") and a part toward the north
+    ("y"):
+        x = SOG * sin(COG) - STW * sin(heading)
+        y = SOG * cos(COG) - STW * cos(heading)
+    The instruments are noisy, so x and y are averaged over the last
+    currentOptions.window seconds. Then
+        set = atan2(x, y)
+        drift = sqrt(x^2 + y^2)
+    The set is the direction the current flows toward.
+ */
+
+// The paths the current is worked out from, and the names they go by here
+const inputPaths = {
+    "navigation.speedOverGround": "sog",
+    "navigation.courseOverGroundTrue": "cog",
+    "navigation.speedThroughWater": "stw",
+    "navigation.headingTrue": "heading",
+};
+
+// Accumulates the current worked out from each update, over a time window.
+export class CurrentWindow {
+    constructor(oldWindow) {
+        this.latest = { ...oldWindow?.latest };
+        this.samples = oldWindow?.samples ? [...oldWindow.samples] : [];
+    }
+
+    /**
+     * Take in a list of updates. If they hold any of the values the current
+     * is worked out from, and all of them are known, add a sample.
+     * @param {Array<Update>} updates
+     * @returns {CurrentWindow}
+     */
+    mergeUpdates(updates) {
+        let time = null;
+        for (const update of updates) {
+            if (!(update.key in inputPaths) || typeof update.value !== "number") continue;
+            this.latest[inputPaths[update.key]] = update.value;
+            time = Math.max(time ?? 0, update.last_update.valueOf());
+        }
+        const { sog, cog, stw, heading } = this.latest;
+        if (time == null || [sog, cog, stw, heading].some((v) => v == null)) return this;
+
+        const last = this.samples[this.samples.length - 1];
+        // Ignore anything that arrives out of order
+        if (last && time < last.time) return this;
+        const start = time - currentOptions.window * 1000;
+        this.samples = this.samples.filter((s) => s.time > start);
+        this.samples.push({
+            time,
+            x: sog * Math.sin(cog) - stw * Math.sin(heading),
+            y: sog * Math.cos(cog) - stw * Math.cos(heading),
+        });
+        return this;
+    }
+
+    /**
+     * Return the average current over the window.
+     * @returns {{set: number, drift: number, time: number} | null} The set in
+     *   radians, the drift in meters per second, and the time of the latest
+     *   sample in milliseconds since the unix epoch. Null if nothing is known.
+     */
+    getCurrent() {
+        if (!this.samples.length) return null;
+        const n = this.samples.length;
+        const x = this.samples.reduce((sum, s) => sum + s.x, 0) / n;
+        const y = this.samples.reduce((sum, s) => sum + s.y, 0) / n;
+        return {
+            set: (Math.atan2(x, y) + 2 * Math.PI) % (2 * Math.PI),
+            drift: Math.hypot(x, y),
+            time: this.samples[n - 1].time,
+        };
+    }
+}
+
+/**
+ * Return the set and drift of the current as updates, marked calculated. A
+ * value the vessel sends itself is left alone.
+ * @param {CurrentWindow} currentWindow - The current of the vessel
+ * @param {VesselState} vesselState - What is known about the vessel
+ * @returns {Array<Update>}
+ */
+export function getCurrentUpdates(currentWindow, vesselState) {
+    const current = currentWindow?.getCurrent();
+    if (!current) return [];
+    const last_update = dayjs(current.time);
+    return [
+        ["environment.current.setTrue", current.set],
+        ["environment.current.drift", current.drift],
+    ].filter(([path]) => !vesselState[path] || vesselState[path].calculated)
+        .map(([path, value]) => new Update(path, value, getSignalKUnit(path),
+            last_update, true));
+}
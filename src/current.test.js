@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+import { describe, expect, it } from "vitest";
+import { CurrentWindow, getCurrentUpdates } from "./current.js";
+import { Update } from "./utilities.js";
+
+// The updates of one moment, from path and value pairs
+function makeUpdates(values, time) {
+    return Object.entries(values)
+        .map(([path, value]) => new Update(path, value, null, dayjs(time)));
+}
+
+describe("CurrentWindow", () => {
+    it("works out the set and drift", () => {
+        // Heading north through the water, but going north-east over the
+        // ground: the current flows east
+        const current = new CurrentWindow().mergeUpdates(makeUpdates({
+            "navigation.speedOverGround": Math.SQRT2,
+            "navigation.courseOverGroundTrue": Math.PI / 4,
+            "navigation.speedThroughWater": 1,
+            "navigation.headingTrue": 0,
+        }, 1000)).getCurrent();
+        expect(current.set).toBeCloseTo(Math.PI / 2);
+        expect(current.drift).toBeCloseTo(1);
+        expect(current.time).toBe(1000);
+    });
+
+    it("averages over the window, and drops what falls out of it", () => {
+        const values = {
+            "navigation.speedOverGround": 2,
+            "navigation.courseOverGroundTrue": 0,
+            "navigation.speedThroughWater": 1,
+            "navigation.headingTrue": 0,
+        };
+        let window = new CurrentWindow().mergeUpdates(makeUpdates(values, 0));
+        window = new CurrentWindow(window).mergeUpdates(
+            makeUpdates({ "navigation.speedOverGround": 3 }, 60 * 1000));
+        expect(window.getCurrent().drift).toBeCloseTo(1.5);
+        window = new CurrentWindow(window).mergeUpdates(
+            makeUpdates({ "navigation.speedOverGround": 3 }, 150 * 1000));
+        expect(window.getCurrent().drift).toBeCloseTo(2);
+    });
+
+    it("knows nothing until every input is known", () => {
+        const window = new CurrentWindow().mergeUpdates(
+            makeUpdates({ "navigation.speedOverGround": 2 }, 0));
+        expect(window.getCurrent()).toBeNull();
+        expect(getCurrentUpdates(window, {})).toEqual([]);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { derivedOptions } from "../flyer.config.js";
+import { getSignalKUnit } from "./units.js";
+import { Update } from "./utilities.js";
+
+/*
+    Not every boat has a SignalK server that works out the true wind. This
+    module calculates it from the raw instruments, along with the VMG to wind
+    and the leeway, so the app can show them anyway. The values are given the
+    SignalK paths they would have if the boat sent them, and are marked
+    "calculated".
+
+    The apparent wind is split into a part across the boat ("x") and a part
+    along it, toward the bow ("y"). Taking away the wind made by the boat's
+    own motion through the water leaves the true wind:
+        x = AWS * sin(AWA)
+        y = AWS * cos(AWA) - STW
+        TWS = sqrt(x^2 + y^2)
+        TWA = atan2(x, y)
+        TWD = heading + TWA
+    The VMG to wind is then STW * cos(TWA). It is negative when sailing
+    downwind.
+ */
+
+// The paths the calculations use
+const inputPaths = [
+    "environment.wind.angleApparent",
+    "environment.wind.speedApparent",
+    "navigation.speedThroughWater",
+    "navigation.headingTrue",
+    "navigation.attitude",
+];
+
+// Below this speed through water, in meters per second, leeway means nothing
+const minLeewaySpeed = 0.5;
+
+const knotsPerMeterPerSecond = 3600 / 1852;
+
+// Return the value of a path, if it is a number
+function getNumber(vesselState, path) {
+    const value = vesselState[path]?.value;
+    return typeof value === "number" && isFinite(value) ? value : null;
+}
+
+// Return the latest time the given paths were updated
+function getLastUpdate(vesselState, paths) {
+    return paths.map((path) => vesselState[path].last_update)
+        .reduce((latest, time) => (time.isAfter(latest) ? time : latest));
+}
+
+/**
+ * Calculate true wind, VMG to wind, and leeway for a vessel. A value is only
+ * calculated if the vessel does not send it itself.
+ * @param {VesselState} vesselState - What is known about the vessel
+ * @param {Array<Update>} [updates] - What just came in. If given, nothing is
+ *   calculated unless it holds one of the values the calculations use.
+ * @returns {Array<Update>} The calculated values
+ */
+export function getDerivedUpdates(vesselState, updates) {
+    if (!derivedOptions.enabled) return [];
+    if (updates && !updates.some((u) => inputPaths.includes(u.key))) return [];
+
+    const derived = [];
+    // Add a calculated value, unless the boat sends one of its own
+    const add = (path, value, inputs) => {
+        if (vesselState[path] && !vesselState[path].calculated) return;
+        derived.push(new Update(path, value, getSignalKUnit(path),
+            getLastUpdate(vesselState, inputs), true));
+    };
+
+    const awa = getNumber(vesselState, "environment.wind.angleApparent");
+    const aws = getNumber(vesselState, "environment.wind.speedApparent");
+    const stw = getNumber(vesselState, "navigation.speedThroughWater");
+    const heading = getNumber(vesselState, "navigation.headingTrue");
+
+    if (awa != null && aws != null && stw != null) {
+        const x = aws * Math.sin(awa);
+        const y = aws * Math.cos(awa) - stw;
+        const tws = Math.hypot(x, y);
+        const twa = Math.atan2(x, y);
+        const windInputs = ["environment.wind.angleApparent",
+            "environment.wind.speedApparent", "navigation.speedThroughWater"];
+        add("environment.wind.speedTrue", tws, windInputs);
+        add("environment.wind.angleTrueWater", twa, windInputs);
+        add("performance.velocityMadeGood", stw * Math.cos(twa), windInputs);
+        if (heading != null) {
+            const twd = (heading + twa + 4 * Math.PI) % (2 * Math.PI);
+            add("environment.wind.directionTrue", twd,
+                [...windInputs, "navigation.headingTrue"]);
+        }
+    }
+
+    const roll = vesselState["navigation.attitude"]?.value?.roll;
+    if (typeof roll === "number" && stw != null && stw >= minLeewaySpeed) {
+        // The formula works in degrees and knots
+        const knots = stw * knotsPerMeterPerSecond;
+        const leeway = derivedOptions.leewayFactor * (roll * 180 / Math.PI) / (knots * knots);
+        add("navigation.leewayAngle", leeway * Math.PI / 180,
+            ["navigation.attitude", "navigation.speedThroughWater"]);
+    }
+    return derived;
+}
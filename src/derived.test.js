@@ -0,0 +1,76 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+import { describe, expect, it } from "vitest";
+import { getDerivedUpdates } from "./derived.js";
+import { Update } from "./utilities.js";
+
+const degrees = (d) => d * Math.PI / 180;
+
+// Build the state of a vessel out of path and value pairs
+function makeState(values, time = dayjs(0)) {
+    return Object.fromEntries(Object.entries(values)
+        .map(([path, value]) => [path, new Update(path, value, null, time)]));
+}
+
+// The derived values, keyed by path
+function derive(vesselState, updates) {
+    return Object.fromEntries(getDerivedUpdates(vesselState, updates)
+        .map((u) => [u.key, u]));
+}
+
+describe("getDerivedUpdates", () => {
+    it("works out the true wind from the apparent wind", () => {
+        // The boat makes 5 m/s into a 10 m/s apparent wind on the beam
+        const derived = derive(makeState({
+            "environment.wind.angleApparent": degrees(90),
+            "environment.wind.speedApparent": 10,
+            "navigation.speedThroughWater": 5,
+            "navigation.headingTrue": degrees(350),
+        }));
+        expect(derived["environment.wind.speedTrue"].value).toBeCloseTo(Math.hypot(10, 5));
+        const twa = Math.atan2(10, -5);
+        expect(derived["environment.wind.angleTrueWater"].value).toBeCloseTo(twa);
+        expect(derived["performance.velocityMadeGood"].value).toBeCloseTo(5 * Math.cos(twa));
+        // The direction wraps around north
+        expect(derived["environment.wind.directionTrue"].value)
+            .toBeCloseTo((degrees(350) + twa) % (2 * Math.PI));
+        expect(derived["environment.wind.speedTrue"].calculated).toBe(true);
+    });
+
+    it("leaves alone what the boat sends itself", () => {
+        const derived = derive(makeState({
+            "environment.wind.angleApparent": 0,
+            "environment.wind.speedApparent": 10,
+            "navigation.speedThroughWater": 5,
+            "environment.wind.speedTrue": 4,
+        }));
+        expect(derived["environment.wind.speedTrue"]).toBeUndefined();
+        expect(derived["environment.wind.angleTrueWater"].value).toBeCloseTo(0);
+    });
+
+    it("works out the leeway from the heel", () => {
+        const knots = 6;
+        const derived = derive(makeState({
+            "navigation.speedThroughWater": knots * 1852 / 3600,
+            "navigation.attitude": { roll: degrees(15) },
+        }));
+        expect(derived["navigation.leewayAngle"].value)
+            .toBeCloseTo(degrees(12 * 15 / (knots * knots)));
+    });
+
+    it("does nothing unless what came in is used", () => {
+        const vesselState = makeState({
+            "environment.wind.angleApparent": 0,
+            "environment.wind.speedApparent": 10,
+            "navigation.speedThroughWater": 5,
+        });
+        const updates = [new Update("navigation.speedOverGround", 5, null, dayjs(0))];
+        expect(getDerivedUpdates(vesselState, updates)).toEqual([]);
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/*
+    The destination set in the admin console looks like:
+    {
+        "name": "Santa Cruz",
+        "lat": 36.9586,
+        "lng": -122.0017,
+        "set_at": 1723416761018
+    }
+    where "set_at" is when it was set, in milliseconds since the unix epoch.
+    It is shared with every viewer as the JSON payload of a retained MQTT
+    message. An empty payload means there is no destination.
+ */
+
+/**
+ * Parse a destination out of an MQTT payload.
+ * @param {string} payload
+ * @returns {object|null} The destination, or null if there is none, or it is
+ *   not valid.
+ */
+export function parseDestination(payload) {
+    if (!payload) return null;
+    try {
+        const destination = JSON.parse(payload);
+        if (typeof destination.lat === "number" && typeof destination.lng === "number") {
+            return { ...destination, name: destination.name || "Destination" };
+        }
+    } catch (err) {
+        console.error("Bad destination:", err);
+    }
+    return null;
+}
+
+/**
+ * Make a route that leads to the destination, so it can be followed the way
+ * a route is.
+ * @param {object} destination
+ * @returns {object} A route with one waypoint, which is being steered for
+ */
+export function getDestinationRoute(destination) {
+    const { name, lat, lng } = destination;
+    return { name, waypoints: [{ lat, lng, name }], active: 0 };
+}
@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { trackOptions } from "../flyer.config.js";
+import { unitPresets } from "./units.js";
+
+/*
+    The display settings set in the admin console look like:
+    {
+        "unitPreset": "nautical",
+        "trackWindow": 1
+    }
+    where "unitPreset" is the units shown to viewers who have not picked their
+    own, and "trackWindow" is an index into trackOptions.windows. Either may
+    be missing. They are shared with every viewer as the JSON payload of a
+    retained MQTT message.
+ */
+
+/**
+ * Parse display settings out of an MQTT payload. Anything not valid is left
+ * out.
+ * @param {string} payload
+ * @returns {{unitPreset?: string, trackWindow?: number}}
+ */
+export function parseDisplaySettings(payload) {
+    if (!payload) return {};
+    try {
+        const { unitPreset, trackWindow } = JSON.parse(payload);
+        return {
+            ...(unitPresets[unitPreset] && { unitPreset }),
+            ...(Number.isInteger(trackWindow) && trackOptions.windows[trackWindow] &&
+                { trackWindow }),
+        };
+    } catch (err) {
+        console.error("Bad display settings:", err);
+    }
+    return {};
+}
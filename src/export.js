@@ -0,0 +1,186 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { conversionDict } from "./units.js";
+
+/*
+    Functions to turn a track into the GPX 1.1, KML 2.2, and GeoJSON formats,
+    and a route into GPX 1.1.
+    In all of them, speed over ground is in meters per second, while course
+    over ground and heading are in degrees true.
+ */
+
+const toDegrees = conversionDict["radian"]["degree_true"];
+
+// Escape the characters that have special meaning in XML
+export function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Round a number for output, or return null if it is missing
+function round(value, digits) {
+    return value == null ? null : Number(value.toFixed(digits));
+}
+
+// The motion of a point in output units
+function getMotion(point) {
+    return {
+        sog: round(point.sog, 2),
+        cog: point.cog == null ? null : round(toDegrees(point.cog), 1),
+        heading: point.heading == null ? null : round(toDegrees(point.heading), 1),
+    };
+}
+
+/**
+ * Express a track as a GPX 1.1 document. Speed and course go in Garmin's
+ * TrackPointExtension, which most programs understand. Heading has no
+ * standard home, so it goes in an extension of our own.
+ * @param {Array<object>} points - The track points, oldest first
+ * @param {string} name - Name of the track
+ * @returns {string}
+ */
+export function toGPX(points, name) {
+    const trkpts = points.map((p) => {
+        const { sog, cog, heading } = getMotion(p);
+        let extensions = "";
+        if (sog != null || cog != null) {
+            extensions += "<gpxtpx:TrackPointExtension>" +
+                (sog != null ? `<gpxtpx:speed>${sog}</gpxtpx:speed>` : "") +
+                (cog != null ? `<gpxtpx:course>${cog}</gpxtpx:course>` : "") +
+                "</gpxtpx:TrackPointExtension>";
+        }
+        if (heading != null) {
+            extensions += `<flyer:heading>${heading}</flyer:heading>`;
+        }
+        return `      <trkpt lat="${p.lat}" lon="${p.lng}">` +
+            `<time>${new Date(p.time).toISOString()}</time>` +
+            (extensions && `<extensions>${extensions}</extensions>`) +
+            "</trkpt>";
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="flyer-map-react"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"
+  xmlns:flyer="https://github.com/tkeffer/flyer-map-react"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <trk>
+    <name>${escapeXML(name)}</name>
+    <trkseg>
+${trkpts.join("\n")}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+/**
+ * Express a route as a GPX 1.1 document, with a <rte> holding a <rtept> for
+ * each waypoint.
+ * @param {{name: string, waypoints: Array<object>}} route - The route
+ * @returns {string}
+ */
+export function toRouteGPX(route) {
+    const rtepts = route.waypoints.map((w) =>
+        `    <rtept lat="${w.lat}" lon="${w.lng}"><name>${escapeXML(w.name)}</name></rtept>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="flyer-map-react"
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <rte>
+    <name>${escapeXML(route.name)}</name>
+${rtepts.join("\n")}
+  </rte>
+</gpx>
+`;
+}
+
+/**
+ * Express a track as a KML 2.2 document, using a gx:Track. The motion of
+ * each point goes in its ExtendedData, which Google Earth can graph.
+ * @param {Array<object>} points - The track points, oldest first
+ * @param {string} name - Name of the track
+ * @returns {string}
+ */
+export function toKML(points, name) {
+    const whens = points.map((p) => `        <when>${new Date(p.time).toISOString()}</when>`);
+    const coords = points.map((p) => `        <gx:coord>${p.lng} ${p.lat} 0</gx:coord>`);
+    const motions = points.map(getMotion);
+    // Missing values are left empty, so the arrays stay aligned with the points
+    const arrayData = (field) =>
+        `            <gx:SimpleArrayData name="${field}">\n` +
+        motions.map((m) => `              <gx:value>${m[field] ?? ""}</gx:value>`)
+            .join("\n") +
+        "\n            </gx:SimpleArrayData>";
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXML(name)}</name>
+    <Schema id="motion">
+      <gx:SimpleArrayField name="sog" type="float"><displayName>SOG (m/s)</displayName></gx:SimpleArrayField>
+      <gx:SimpleArrayField name="cog" type="float"><displayName>COG (°T)</displayName></gx:SimpleArrayField>
+      <gx:SimpleArrayField name="heading" type="float"><displayName>Heading (°T)</displayName></gx:SimpleArrayField>
+    </Schema>
+    <Placemark>
+      <name>${escapeXML(name)}</name>
+      <gx:Track>
+${whens.join("\n")}
+${coords.join("\n")}
+        <ExtendedData>
+          <SchemaData schemaUrl="#motion">
+${arrayData("sog")}
+${arrayData("cog")}
+${arrayData("heading")}
+          </SchemaData>
+        </ExtendedData>
+      </gx:Track>
+    </Placemark>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Express a track as GeoJSON. The result is a FeatureCollection holding the
+ * track as a LineString, followed by a Point for each position that carries
+ * its time and motion.
+ * @param {Array<object>} points - The track points, oldest first
+ * @param {string} name - Name of the track
+ * @returns {string}
+ */
+export function toGeoJSON(points, name) {
+    const collection = {
+        type: "FeatureCollection",
+        features: [
+            {
+                type: "Feature",
+                geometry: {
+                    type: "LineString",
+                    coordinates: points.map((p) => [p.lng, p.lat]),
+                },
+                properties: {
+                    name,
+                    coordTimes: points.map((p) => new Date(p.time).toISOString()),
+                },
+            },
+            ...points.map((p) => ({
+                type: "Feature",
+                geometry: { type: "Point", coordinates: [p.lng, p.lat] },
+                properties: {
+                    time: new Date(p.time).toISOString(),
+                    ...getMotion(p),
+                },
+            })),
+        ],
+    };
+    return JSON.stringify(collection, null, 2);
+}
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it } from "vitest";
+import { escapeXML, toGeoJSON, toGPX, toKML } from "./export.js";
+
+const points = [
+    { lat: 36.6, lng: -121.9, time: Date.UTC(2024, 7, 12, 0, 0), sog: 2.5, cog: Math.PI / 2 },
+    { lat: 36.7, lng: -122.0, time: Date.UTC(2024, 7, 12, 0, 1) },
+];
+
+describe("escapeXML", () => {
+    it("escapes the characters special to XML", () => {
+        expect(escapeXML(`Tom & "Jerry" <boat>`))
+            .toBe("Tom &amp; &quot;Jerry&quot; &lt;boat&gt;");
+    });
+});
+
+describe("toGPX", () => {
+    it("writes a point for each position, with its motion", () => {
+        const doc = new DOMParser().parseFromString(toGPX(points, "A & B"), "application/xml");
+        expect(doc.getElementsByTagName("parsererror")).toHaveLength(0);
+        expect(doc.getElementsByTagName("name")[0].textContent).toBe("A & B");
+        const trkpts = doc.getElementsByTagName("trkpt");
+        expect(trkpts).toHaveLength(2);
+        expect(trkpts[0].getAttribute("lat")).toBe("36.6");
+        expect(trkpts[0].getAttribute("lon")).toBe("-121.9");
+        expect(trkpts[0].getElementsByTagName("time")[0].textContent)
+            .toBe("2024-08-12T00:00:00.000Z");
+        expect(trkpts[0].getElementsByTagName("gpxtpx:course")[0].textContent).toBe("90");
+        // A point without motion has no extensions
+        expect(trkpts[1].getElementsByTagName("extensions")).toHaveLength(0);
+    });
+});
+
+describe("toKML", () => {
+    it("writes the coordinates longitude first, and keeps the motion aligned", () => {
+        const kml = toKML(points, "Track");
+        expect(kml).toContain("<gx:coord>-121.9 36.6 0</gx:coord>");
+        expect(kml).toMatch(/<gx:SimpleArrayData name="sog">\s*<gx:value>2.5<\/gx:value>\s*<gx:value><\/gx:value>/);
+    });
+});
+
+describe("toGeoJSON", () => {
+    it("writes the track as a line, and each position as a point", () => {
+        const collection = JSON.parse(toGeoJSON(points, "Track"));
+        const [line, first] = collection.features;
+        expect(line.geometry.coordinates).toEqual([[-121.9, 36.6], [-122.0, 36.7]]);
+        expect(first.geometry.coordinates).toEqual([-121.9, 36.6]);
+        expect(first.properties).toMatchObject({ sog: 2.5, cog: 90, heading: null });
+        expect(collection.features).toHaveLength(3);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { historyOptions } from "../flyer.config.js";
+
+/*
+    The history of a SignalK path looks like:
+    {
+        "unit": "pascal",
+        "points": [
+            {"time": 1723416761018, "value": 101325},
+            {"time": 1723416881018, "value": 101310}
+        ]
+    }
+    where "time" is in milliseconds since the unix epoch. Points are oldest
+    first.
+ */
+
+// This will accumulate a bounded history of every numeric SignalK path.
+export class HistoryState {
+    constructor(oldState) {
+        Object.assign(this, oldState);
+    }
+
+    mergeUpdates(updates) {
+        for (let update of updates) {
+            // Only numbers can be charted
+            if (typeof update.value !== "number") continue;
+            const time = update.last_update.valueOf();
+            const oldPoints = this[update.key]?.points || [];
+            const last = oldPoints[oldPoints.length - 1];
+            // Ignore duplicates and anything that arrives out of order
+            if (last && time <= last.time) continue;
+
+            // Drop points that are too old, or too many
+            const start = time - historyOptions.maxAge * 1000;
+            let first = oldPoints.findIndex((p) => p.time >= start);
+            if (first === -1) first = oldPoints.length;
+            first = Math.max(first,
+                oldPoints.length + 1 - historyOptions.maxPoints);
+
+            this[update.key] = {
+                unit: update.unit,
+                points: [
+                    ...oldPoints.slice(first),
+                    { time, value: update.value },
+                ],
+            };
+        }
+        return this;
+    }
+}
+
+/**
+ * Return the points of a history that lie within a time window.
+ * @param {{points: Array<{time: number, value: number}>}|undefined} history
+ * @param {number} windowLength - Length of the window in seconds
+ * @param {number} now - Current time in milliseconds since the unix epoch.
+ * @returns {Array<{time: number, value: number}>}
+ */
+export function getRecentPoints(history, windowLength, now) {
+    if (!history) return [];
+    const start = now - windowLength * 1000;
+    return history.points.filter((p) => p.time >= start);
+}
+
+/**
+ * Scale a series of points to fit a box. Time runs left to right, and
+ * values run bottom to top.
+ * @param {Array<{time: number, value: number}>} points - The points, oldest first
+ * @param {number} width - Width of the box
+ * @param {number} height - Height of the box
+ * @param {number} start - Time at the left edge of the box, in milliseconds
+ *   since the unix epoch
+ * @param {number} end - Time at the right edge of the box
+ * @returns {string} - The points as a string suitable for an SVG polyline
+ */
+export function scalePoints(points, width, height, start, end) {
+    const values = points.map((p) => p.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // Avoid dividing by zero if the value has not changed
+    const valueSpan = max - min || 1;
+    const timeSpan = end - start || 1;
+    return points
+        .map((p) => {
+            const x = ((p.time - start) / timeSpan) * width;
+            const y = height - ((p.value - min) / valueSpan) * height;
+            return x.toFixed(1) + "," + y.toFixed(1);
+        })
+        .join(" ");
+}
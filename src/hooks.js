@@ -0,0 +1,26 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useState } from "react";
+
+/**
+ * Custom hook that returns the current time, refreshed every so often. Use
+ * it for anything that has to be redrawn as time passes, even if no new
+ * data arrives.
+ * @param {number} interval - How often to refresh, in seconds
+ * @returns {number} The current time in milliseconds since the unix epoch
+ */
+export function useNow(interval) {
+    const [now, setNow] = useState(Date.now);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), interval * 1000);
+        return () => clearInterval(timer);
+    }, [interval]);
+
+    return now;
+}
@@ -1,9 +1,31 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App";
+import { ConfigError } from "./ConfigError";
+import { loadConfig } from "./config.js";
+import { loadMapProvider } from "./maps";
 
-createRoot(document.getElementById("root")).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-);
+// The runtime configuration has to be in place before the app starts, and
+// then the map provider it picks has to be loaded
+loadConfig().then(async (errors) => {
+  if (!errors.length) {
+    try {
+      await loadMapProvider();
+    } catch (err) {
+      console.error("Unable to load map provider:", err);
+      errors = [err.message];
+    }
+  }
+  createRoot(document.getElementById("root")).render(
+    <StrictMode>
+      {errors.length ? <ConfigError errors={errors} /> : <App />}
+    </StrictMode>,
+  );
+});
+
+// Cache the app, so it loads without a connection. The service worker gets in
+// the way of Vite's hot reloading, so it is only used in a build.
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register(import.meta.env.BASE_URL + "sw.js")
+    .catch((err) => console.error("Unable to register service worker:", err));
+}
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useMemo } from "react";
+import { useMap } from "@vis.gl/react-google-maps";
+
+// The events a map handle can listen to, and what Google calls them
+const eventNames = {
+    click: "click",
+    dragend: "dragend",
+    zoom: "zoom_changed",
+};
+
+// Turn a google.maps.LatLng into a literal
+export const toLiteral = (latLng) => latLng && { lat: latLng.lat(), lng: latLng.lng() };
+
+// A handle to the map, for the components that need more than the props
+// of the others
+export function useMapHandle() {
+    const map = useMap();
+    return useMemo(() => map && {
+        setCenter: (latLng) => map.setCenter(latLng),
+        getZoom: () => map.getZoom(),
+        getPixelDistance(latLng1, latLng2) {
+            const projection = map.getProjection();
+            if (!projection) return null;
+            // Scale the world coordinates to pixels at the current zoom level
+            const scale = Math.pow(2, map.getZoom());
+            const point1 = projection.fromLatLngToPoint(latLng1);
+            const point2 = projection.fromLatLngToPoint(latLng2);
+            return scale * Math.hypot(point2.x - point1.x, point2.y - point1.y);
+        },
+        addListener(event, callback) {
+            const listener = map.addListener(eventNames[event],
+                (e) => callback(toLiteral(e?.latLng)));
+            return () => listener.remove();
+        },
+    }, [map]);
+}
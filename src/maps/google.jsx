@@ -0,0 +1,199 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import {
+    AdvancedMarker,
+    APIProvider,
+    ControlPosition,
+    Map,
+    MapControl,
+    useMap,
+    useMapsLibrary,
+} from "@vis.gl/react-google-maps";
+
+import { mapOptions } from "../../flyer.config.js";
+import { toLiteral } from "./google-handle.js";
+
+/*
+    The map provider for Google Maps. See index.js for what a provider offers.
+ */
+
+// The API key lives in src/google-api-key.js, which is not checked in. It is
+// looked for this way, so that a build without it still succeeds.
+const keyModules = import.meta.glob("../google-api-key.js", { eager: true });
+const google_key = mapOptions.google.apiKey ||
+    Object.values(keyModules)[0]?.google_key;
+
+// Where each control position of a provider goes on a Google map
+const controlPositions = {
+    "top-left": ControlPosition.TOP_LEFT,
+    "left-top": ControlPosition.LEFT_TOP,
+    "right-top": ControlPosition.RIGHT_TOP,
+};
+
+
+// The map itself
+export function MapView(props) {
+    const { defaultCenter, defaultZoom, cursor, onClick, children } = props;
+    return (
+        <APIProvider
+            apiKey={`${google_key}`}
+            onLoad={() => console.log("Maps API has loaded.")}
+        >
+            <Map
+                defaultZoom={defaultZoom}
+                defaultCenter={defaultCenter}
+                streetViewControl={false}
+                scaleControl={true}
+                draggableCursor={cursor}
+                onClick={onClick && ((event) => onClick(event.detail.latLng))}
+                mapId={mapOptions.google.mapId}>
+                {children}
+            </Map>
+        </APIProvider>
+    );
+}
+
+MapView.propTypes = {
+    defaultCenter: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    defaultZoom: PropTypes.number,
+    cursor: PropTypes.string,
+    onClick: PropTypes.func,
+    children: PropTypes.node,
+};
+
+// HTML drawn at a position on the map
+export function Marker(props) {
+    const { position, title, draggable, onDragEnd, children } = props;
+    return (
+        <AdvancedMarker position={position}
+                        title={title}
+                        draggable={draggable}
+                        onDragEnd={onDragEnd && ((e) => onDragEnd(toLiteral(e.latLng)))}>
+            {children}
+        </AdvancedMarker>
+    );
+}
+
+Marker.propTypes = {
+    position: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    title: PropTypes.string,
+    draggable: PropTypes.bool,
+    onDragEnd: PropTypes.func,
+    children: PropTypes.node,
+};
+
+// HTML drawn in a corner of the map
+export function Control(props) {
+    const { position, children } = props;
+    return (
+        <MapControl position={controlPositions[position]}>
+            {children}
+        </MapControl>
+    );
+}
+
+Control.propTypes = {
+    position: PropTypes.oneOf(Object.keys(controlPositions)),
+    children: PropTypes.node,
+};
+
+// A line through a list of points
+export function Polyline(props) {
+    const { path, color, weight = 2, opacity = 0.8, dashed, geodesic, zIndex } = props;
+    const [polyline, setPolyline] = useState(null);
+
+    // Retrieve the map instance and the library that holds Polyline
+    const map = useMap();
+    const mapsLibrary = useMapsLibrary("maps");
+
+    // Create the polyline once the library has loaded. Remove it when done.
+    useEffect(() => {
+        if (!map || !mapsLibrary) return;
+        const line = new mapsLibrary.Polyline({ map, clickable: false });
+        setPolyline(line);
+        return () => line.setMap(null);
+    }, [map, mapsLibrary]);
+
+    // Keep the polyline in step with its props. Google draws a dashed line
+    // as a transparent line with repeated dash symbols.
+    useEffect(() => {
+        if (!polyline) return;
+        polyline.setOptions({
+            path,
+            geodesic,
+            zIndex,
+            strokeColor: color,
+            strokeWeight: weight,
+            strokeOpacity: dashed ? 0 : opacity,
+            icons: dashed ? [{
+                icon: {
+                    path: "M 0,-1 0,1",
+                    strokeColor: color,
+                    strokeOpacity: opacity,
+                    scale: weight,
+                },
+                offset: "0",
+                repeat: "10px",
+            }] : null,
+        });
+    }, [polyline, path, color, weight, opacity, dashed, geodesic, zIndex]);
+
+    return null;
+}
+
+Polyline.propTypes = {
+    path: PropTypes.arrayOf(PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number })),
+    color: PropTypes.string,
+    weight: PropTypes.number,
+    opacity: PropTypes.number,
+    dashed: PropTypes.bool,
+    geodesic: PropTypes.bool,
+    zIndex: PropTypes.number,
+};
+
+// A filled circle
+export function Circle(props) {
+    const { center, radius, color, fillOpacity } = props;
+    const [circle, setCircle] = useState(null);
+
+    // Retrieve the map instance and the library that holds Circle
+    const map = useMap();
+    const mapsLibrary = useMapsLibrary("maps");
+
+    // Create the circle once the library has loaded. Remove it when done.
+    useEffect(() => {
+        if (!map || !mapsLibrary) return;
+        const c = new mapsLibrary.Circle({ map, strokeWeight: 2, clickable: false });
+        setCircle(c);
+        return () => c.setMap(null);
+    }, [map, mapsLibrary]);
+
+    // Keep the circle in step with its props
+    useEffect(() => {
+        if (circle) {
+            circle.setOptions({
+                center,
+                radius,
+                fillOpacity,
+                strokeColor: color,
+                fillColor: color,
+            });
+        }
+    }, [circle, center, radius, color, fillOpacity]);
+
+    return null;
+}
+
+Circle.propTypes = {
+    center: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    radius: PropTypes.number,
+    color: PropTypes.string,
+    fillOpacity: PropTypes.number,
+};
@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { mapOptions } from "../../flyer.config.js";
+
+/*
+    The rest of the app draws on the map only through what is exported here,
+    so that it does not care which map provider is in use. The provider is
+    chosen by mapOptions.provider, and only it is loaded, by loadMapProvider(),
+    which must finish before anything is drawn. Each provider offers:
+
+    MapView: The map itself. Props:
+        defaultCenter {lat, lng}: Where the map starts out centered
+        defaultZoom number: The zoom level it starts out at
+        cursor string: The cursor to show over the map, or undefined for the
+            usual one
+        onClick function({lat, lng}): Called with where the map was clicked
+        children: What to draw on the map
+
+    Marker: HTML drawn at a position. The content is anchored by its bottom
+    center. Props:
+        position {lat, lng}
+        title string: What to show when hovering over the marker
+        draggable boolean: True if the marker can be dragged
+        onDragEnd function({lat, lng}): Called with where it was dragged to
+        children: The content
+
+    Control: HTML drawn in a corner of the map. Props:
+        position string: One of "top-left", "left-top" (below "top-left"), or
+            "right-top"
+        children: The content
+
+    Polyline: A line through a list of points. Props:
+        path Array<{lat, lng}>
+        color string
+        weight number: Width in pixels. Default is 2.
+        opacity number: Default is 0.8.
+        dashed boolean: True for a dashed line
+        geodesic boolean: True to follow the great circle between the points,
+            rather than the straight (rhumb) line
+        zIndex number: Lines with higher values are drawn on top. Not
+            supported by every provider.
+
+    Circle: A filled circle. Props:
+        center {lat, lng}
+        radius number: In meters
+        color string
+        fillOpacity number
+
+    useMapHandle(): A hook that returns a handle to the map, or null if it is
+    not ready yet. The handle offers:
+        setCenter({lat, lng}): Move the center of the map
+        getZoom(): The zoom level
+        getPixelDistance({lat, lng}, {lat, lng}): How many pixels apart two
+            points are at the present zoom level, or null if not known yet
+        addListener(event, callback): Listen for "click", "dragend", or
+            "zoom". A click calls back with where the map was clicked. Returns
+            a function that stops listening.
+ */
+
+// How to load each provider. Each is built into its own chunk, so that the
+// code and styles of the others are never fetched.
+const providers = {
+    google: () => Promise.all([import("./google.jsx"), import("./google-handle.js")]),
+    leaflet: () => Promise.all([import("./leaflet.jsx"), import("./leaflet-handle.js")]),
+};
+
+export let MapView, Marker, Control, Polyline, Circle, useMapHandle;
+
+/**
+ * Load the map provider chosen by mapOptions.provider, and make what it
+ * offers available through the exports above.
+ * @returns {Promise<void>}
+ * @throws {Error} If the provider is not known
+ */
+export async function loadMapProvider() {
+    const load = providers[mapOptions.provider];
+    if (!load) {
+        throw new Error(`Unknown map provider "${mapOptions.provider}". ` +
+            `It must be one of ${Object.keys(providers).join(", ")}.`);
+    }
+    const [provider, handle] = await load();
+    ({ MapView, Marker, Control, Polyline, Circle } = provider);
+    ({ useMapHandle } = handle);
+}
@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useMemo } from "react";
+import { useMap } from "react-leaflet";
+
+// The events a map handle can listen to, and what Leaflet calls them
+const eventNames = {
+    click: "click",
+    dragend: "dragend",
+    zoom: "zoomend",
+};
+
+// A handle to the map, for the components that need more than the props
+// of the others
+export function useMapHandle() {
+    const map = useMap();
+    return useMemo(() => ({
+        setCenter: (latLng) => map.panTo(latLng),
+        getZoom: () => map.getZoom(),
+        getPixelDistance(latLng1, latLng2) {
+            const zoom = map.getZoom();
+            return map.project(latLng1, zoom).distanceTo(map.project(latLng2, zoom));
+        },
+        addListener(event, callback) {
+            const listener = (e) => callback(e.latlng && { lat: e.latlng.lat, lng: e.latlng.lng });
+            map.on(eventNames[event], listener);
+            return () => map.off(eventNames[event], listener);
+        },
+    }), [map]);
+}
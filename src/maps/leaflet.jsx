@@ -0,0 +1,215 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { useEffect, useMemo } from "react";
+import { createPortal } from "react-dom";
+import PropTypes from "prop-types";
+import L from "leaflet";
+import {
+    Circle as LeafletCircle,
+    MapContainer,
+    Marker as LeafletMarker,
+    Polyline as LeafletPolyline,
+    ScaleControl,
+    TileLayer,
+    useMap,
+    useMapEvents,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+import { mapOptions } from "../../flyer.config.js";
+import { getBearing, getDistance, latLngAtBearing } from "../utilities.js";
+
+/*
+    The map provider for Leaflet, using the tile layers listed in
+    mapOptions.leaflet. See index.js for what a provider offers.
+ */
+
+// Where each control position of a provider goes on a Leaflet map
+const controlPositions = {
+    "top-left": "topleft",
+    "left-top": "topleft",
+    "right-top": "topright",
+};
+
+// Leaflet draws straight lines on the map, which are rhumb lines. To draw a
+// great circle, break each leg into pieces no longer than this, in meters.
+const GEODESIC_STEP = 50000;
+
+// Follow the great circle between each pair of points
+function densify(path) {
+    let points = path.slice(0, 1);
+    for (let i = 1; i < path.length; i++) {
+        const distance = getDistance(path[i - 1], path[i]);
+        const steps = Math.ceil(distance / GEODESIC_STEP);
+        for (let step = 1; step < steps; step++) {
+            // Take the bearing afresh from each point, as it changes along
+            // the great circle
+            const last = points[points.length - 1];
+            points.push(latLngAtBearing(last, distance / steps, getBearing(last, path[i])));
+        }
+        points.push(path[i]);
+    }
+    return points;
+}
+
+// Listen for clicks on the map, and set its cursor
+function MapEvents(props) {
+    const { cursor, onClick } = props;
+    const map = useMapEvents({
+        click: (event) => onClick?.(event.latlng),
+    });
+    useEffect(() => {
+        map.getContainer().style.cursor = cursor || "";
+    }, [map, cursor]);
+    return null;
+}
+
+MapEvents.propTypes = {
+    cursor: PropTypes.string,
+    onClick: PropTypes.func,
+};
+
+// The map itself
+export function MapView(props) {
+    const { defaultCenter, defaultZoom, cursor, onClick, children } = props;
+    return (
+        <MapContainer center={defaultCenter}
+                      zoom={defaultZoom}
+                      maxZoom={mapOptions.leaflet.maxZoom}
+                      style={{ height: "100%", width: "100%" }}>
+            {mapOptions.leaflet.tileLayers.map((layer) => (
+                <TileLayer key={layer.url}
+                           url={layer.url}
+                           attribution={layer.attribution}
+                           maxZoom={layer.maxZoom ?? mapOptions.leaflet.maxZoom} />
+            ))}
+            <ScaleControl position="bottomright" />
+            <MapEvents cursor={cursor} onClick={onClick} />
+            {children}
+        </MapContainer>
+    );
+}
+
+MapView.propTypes = {
+    defaultCenter: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    defaultZoom: PropTypes.number,
+    cursor: PropTypes.string,
+    onClick: PropTypes.func,
+    children: PropTypes.node,
+};
+
+// HTML drawn at a position on the map
+export function Marker(props) {
+    const { position, title, draggable, onDragEnd, children } = props;
+    // The children are rendered into an element of our own, which Leaflet
+    // places on the map.
+    const element = useMemo(() => document.createElement("div"), []);
+    const icon = useMemo(() => L.divIcon({
+        html: element,
+        className: "leaflet-html-marker",
+        iconSize: null,
+    }), [element]);
+
+    return (
+        <LeafletMarker position={position}
+                       icon={icon}
+                       title={title}
+                       draggable={!!draggable}
+                       eventHandlers={{
+                           dragend: (e) => {
+                               const { lat, lng } = e.target.getLatLng();
+                               onDragEnd?.({ lat, lng });
+                           },
+                       }}>
+            {createPortal(
+                // Anchor the content by its bottom center, as Google does
+                <div className="leaflet-html-marker-content">{children}</div>,
+                element,
+            )}
+        </LeafletMarker>
+    );
+}
+
+Marker.propTypes = {
+    position: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    title: PropTypes.string,
+    draggable: PropTypes.bool,
+    onDragEnd: PropTypes.func,
+    children: PropTypes.node,
+};
+
+// HTML drawn in a corner of the map
+export function Control(props) {
+    const { position, children } = props;
+    const map = useMap();
+    const element = useMemo(() => {
+        const div = document.createElement("div");
+        // Clicking a control should not count as clicking the map
+        L.DomEvent.disableClickPropagation(div);
+        return div;
+    }, []);
+
+    // Put the control on the map. Remove it when done.
+    useEffect(() => {
+        const control = new L.Control({ position: controlPositions[position] });
+        control.onAdd = () => element;
+        control.addTo(map);
+        return () => control.remove();
+    }, [map, element, position]);
+
+    return createPortal(children, element);
+}
+
+Control.propTypes = {
+    position: PropTypes.oneOf(Object.keys(controlPositions)),
+    children: PropTypes.node,
+};
+
+// A line through a list of points
+export function Polyline(props) {
+    const { path, color, weight = 2, opacity = 0.8, dashed, geodesic } = props;
+    const positions = useMemo(() => (geodesic ? densify(path) : path), [path, geodesic]);
+    return (
+        <LeafletPolyline positions={positions}
+                         interactive={false}
+                         pathOptions={{
+                             color,
+                             weight,
+                             opacity,
+                             dashArray: dashed ? "4 6" : null,
+                         }} />
+    );
+}
+
+Polyline.propTypes = {
+    path: PropTypes.arrayOf(PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number })),
+    color: PropTypes.string,
+    weight: PropTypes.number,
+    opacity: PropTypes.number,
+    dashed: PropTypes.bool,
+    geodesic: PropTypes.bool,
+    zIndex: PropTypes.number,
+};
+
+// A filled circle
+export function Circle(props) {
+    const { center, radius, color, fillOpacity } = props;
+    return (
+        <LeafletCircle center={center}
+                       radius={radius}
+                       interactive={false}
+                       pathOptions={{ color, fillColor: color, fillOpacity, weight: 2 }} />
+    );
+}
+
+Circle.propTypes = {
+    center: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number }),
+    radius: PropTypes.number,
+    color: PropTypes.string,
+    fillOpacity: PropTypes.number,
+};
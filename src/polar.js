@@ -0,0 +1,303 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { polarOptions } from "../flyer.config.js";
+import { getSignalKUnit } from "./units.js";
+import { getBearing, getDistance, latLngAtBearing, Update } from "./utilities.js";
+
+/*
+    A polar diagram gives the speed the boat should make through the water for
+    each true wind angle and speed. It is kept as a curve for each wind speed:
+    {
+        "name": "flyer.pol",
+        "curves": [
+            {"tws": 6, "points": [{"twa": 52, "speed": 5.1}, {"twa": 60, "speed": 5.5}]},
+            {"tws": 8, "points": [{"twa": 45, "speed": 5.8}, {"twa": 60, "speed": 6.4}]}
+        ]
+    }
+    Wind speeds and boat speeds are in knots, and angles in degrees, as they
+    are in polar files. The curves are sorted by wind speed, and their points
+    by angle.
+
+    Two layouts of file are read, with the values separated by tabs,
+    semicolons, commas, or spaces:
+
+    A table, with the wind speeds across the top, and a row for each angle.
+    This is the usual .pol and CSV layout:
+        twa/tws  6    8    10
+        45       4.9  5.8  6.3
+        60       5.5  6.4  6.9
+
+    A row for each wind speed, followed by pairs of angle and boat speed:
+        6   52  5.1  60  5.5  90  5.9
+        8   45  5.8  60  6.4  90  6.8
+
+    A blank cell, or one that is not a number, is no point at all. The speed
+    there is interpolated between the points on either side.
+ */
+
+const knotsPerMeterPerSecond = 3600 / 1852;
+const degreesPerRadian = 180 / Math.PI;
+
+// Split a line of a polar file into its cells
+function splitLine(line) {
+    if (line.includes("\t")) return line.split("\t").map((c) => c.trim());
+    if (line.includes(";")) return line.split(";").map((c) => c.trim());
+    if (line.includes(",")) return line.split(",").map((c) => c.trim());
+    return line.split(/\s+/);
+}
+
+// Parse a cell of a polar file. An empty cell, or one that is not a number,
+// such as a "-" placeholder, gives null: the polar has no point there.
+function parseNumber(cell) {
+    const value = cell === "" ? NaN : Number(cell);
+    return isFinite(value) ? value : null;
+}
+
+// Read a table, with the wind speeds across the top
+function parseTable(rows) {
+    const tws = rows[0].slice(1).filter((c) => c !== "").map(Number);
+    if (!tws.length || tws.some((s) => !isFinite(s))) {
+        throw new Error("The first row of the polar must list the wind speeds.");
+    }
+    const curves = tws.map((s) => ({ tws: s, points: [] }));
+    for (const row of rows.slice(1)) {
+        const [twa, ...speeds] = row.map(parseNumber);
+        if (twa == null) {
+            throw new Error(`The polar has a row without an angle: ${row.join(" ")}`);
+        }
+        curves.forEach((curve, i) => {
+            if (speeds[i] != null) curve.points.push({ twa, speed: speeds[i] });
+        });
+    }
+    return curves;
+}
+
+// Read a row for each wind speed, with pairs of angle and boat speed
+function parsePairs(rows) {
+    return rows.map((row) => {
+        const [tws, ...pairs] = row.map(parseNumber);
+        if (tws == null || pairs.length < 2 || pairs.length % 2 !== 0) {
+            throw new Error(`The polar has a row without pairs of angle and speed: ${row.join(" ")}`);
+        }
+        const points = [];
+        for (let i = 0; i < pairs.length; i += 2) {
+            // Skip a pair with a missing angle or speed
+            if (pairs[i] != null && pairs[i + 1] != null) {
+                points.push({ twa: pairs[i], speed: pairs[i + 1] });
+            }
+        }
+        return { tws, points };
+    });
+}
+
+/**
+ * Parse a polar diagram out of a .pol or CSV file.
+ * @param {string} text - The contents of the file
+ * @param {string} name - The name of the file
+ * @returns {object} The polar
+ * @throws {Error} If the file cannot be read as a polar
+ */
+export function parsePolar(text, name) {
+    const rows = text.split(/\r?\n/)
+        .map((line) => line.trim())
+        // Skip blank lines and comments
+        .filter((line) => line && !line.startsWith("#") && !line.startsWith("!"))
+        .map(splitLine);
+    if (rows.length < 2) throw new Error("The file is too short to be a polar.");
+
+    // A table has a label in its top left corner, such as "twa/tws"
+    const curves = isFinite(Number(rows[0][0])) ? parsePairs(rows) : parseTable(rows);
+    for (const curve of curves) {
+        curve.points = curve.points.filter((p) => p.twa >= 0 && p.twa <= 180)
+            .sort((a, b) => a.twa - b.twa);
+    }
+    const usable = curves.filter((c) => c.tws > 0 && c.points.length)
+        .sort((a, b) => a.tws - b.tws);
+    if (!usable.length) throw new Error("The polar holds no boat speeds.");
+    return { name, curves: usable };
+}
+
+// Interpolate the speed on a curve at an angle in degrees. Below the first
+// angle, the speed falls off to nothing head to wind.
+function getCurveSpeed(curve, twa) {
+    const { points } = curve;
+    const first = points[0];
+    if (twa <= first.twa) return first.twa > 0 ? first.speed * twa / first.twa : first.speed;
+    for (let i = 1; i < points.length; i++) {
+        const p0 = points[i - 1];
+        const p1 = points[i];
+        if (twa <= p1.twa) {
+            return p0.speed + (p1.speed - p0.speed) * (twa - p0.twa) / (p1.twa - p0.twa);
+        }
+    }
+    return points[points.length - 1].speed;
+}
+
+/**
+ * Return the speed the polar gives for a true wind.
+ * @param {object} polar
+ * @param {number} twa - True wind angle in radians. Port or starboard.
+ * @param {number} tws - True wind speed in meters per second
+ * @returns {number} The boat speed in meters per second
+ */
+export function getPolarSpeed(polar, twa, tws) {
+    const { curves } = polar;
+    // The polar is the same on either tack
+    const angle = Math.abs(((twa * degreesPerRadian + 540) % 360) - 180);
+    const knots = tws * knotsPerMeterPerSecond;
+
+    let speed;
+    const first = curves[0];
+    const last = curves[curves.length - 1];
+    if (knots <= first.tws) {
+        // Lighter than the polar goes: scale down to nothing in no wind
+        speed = getCurveSpeed(first, angle) * knots / first.tws;
+    } else if (knots >= last.tws) {
+        speed = getCurveSpeed(last, angle);
+    } else {
+        const i = curves.findIndex((c) => c.tws >= knots);
+        const c0 = curves[i - 1];
+        const c1 = curves[i];
+        const s0 = getCurveSpeed(c0, angle);
+        const s1 = getCurveSpeed(c1, angle);
+        speed = s0 + (s1 - s0) * (knots - c0.tws) / (c1.tws - c0.tws);
+    }
+    return speed / knotsPerMeterPerSecond;
+}
+
+/**
+ * Find the true wind angles that give the best VMG upwind and downwind.
+ * @param {object} polar
+ * @param {number} tws - True wind speed in meters per second
+ * @returns {{upwind: number, downwind: number}} The angles in radians
+ */
+export function getOptimalAngles(polar, tws) {
+    let upwind = { angle: 45, vmg: -Infinity };
+    let downwind = { angle: 150, vmg: Infinity };
+    for (let angle = 1; angle < 180; angle++) {
+        const vmg = getPolarSpeed(polar, angle / degreesPerRadian, tws) *
+            Math.cos(angle / degreesPerRadian);
+        if (angle < 90 && vmg > upwind.vmg) upwind = { angle, vmg };
+        if (angle > 90 && vmg < downwind.vmg) downwind = { angle, vmg };
+    }
+    return {
+        upwind: upwind.angle / degreesPerRadian,
+        downwind: downwind.angle / degreesPerRadian,
+    };
+}
+
+/**
+ * Work out how the vessel is doing against its polar.
+ * @param {object|null} polar
+ * @param {VesselState} vesselState - Current values of the vessel
+ * @returns {Array<Update>} Updates for the polar speed, and the boat speed as
+ *   a fraction of it. Empty if there is no polar, or the true wind or the
+ *   boat speed is not known.
+ */
+export function getPolarUpdates(polar, vesselState) {
+    const twa = vesselState["environment.wind.angleTrueWater"];
+    const tws = vesselState["environment.wind.speedTrue"];
+    // Speed through water is what a polar is about, but speed over ground
+    // will do without it.
+    const speed = vesselState["navigation.speedThroughWater"] ||
+        vesselState["navigation.speedOverGround"];
+    if (!polar || twa?.value == null || tws?.value == null || speed?.value == null) return [];
+
+    const last_update = [twa, tws, speed].map((u) => u.last_update)
+        .reduce((latest, time) => (time.isAfter(latest) ? time : latest));
+    const update = (path, value) =>
+        new Update(path, value, getSignalKUnit(path), last_update, true);
+
+    const polarSpeed = getPolarSpeed(polar, twa.value, tws.value);
+    const updates = [update("performance.polarSpeed", polarSpeed)];
+    if (polarSpeed > 0) {
+        updates.push(update("performance.polarSpeedRatio", speed.value / polarSpeed));
+    }
+    return updates;
+}
+
+// Return the two legs to a destination that start out on heading1, then turn
+// onto heading2. They are worked out on a flat map around the boat, which is
+// close enough over the distances a boat sails before tacking. Null if the
+// destination cannot be laid that way.
+function getLegs(position, destination, heading1, heading2) {
+    const distance = getDistance(position, destination);
+    const bearing = getBearing(position, destination);
+    const dx = distance * Math.sin(bearing);
+    const dy = distance * Math.cos(bearing);
+    const [u1x, u1y] = [Math.sin(heading1), Math.cos(heading1)];
+    const [u2x, u2y] = [Math.sin(heading2), Math.cos(heading2)];
+    const det = u1x * u2y - u1y * u2x;
+    if (Math.abs(det) < 1e-9) return null;
+    // How far to sail on each heading
+    const a = (dx * u2y - dy * u2x) / det;
+    const b = (u1x * dy - u1y * dx) / det;
+    if (a <= 0 || b <= 0) return null;
+    return [position, latLngAtBearing(position, a, heading1), destination];
+}
+
+/**
+ * Work out the laylines from the vessel to a destination: the course on each
+ * tack (or gybe) that lays the destination after one turn. If the
+ * destination is upwind, the tacks are sailed at the best upwind angle of
+ * the polar; if downwind, at the best downwind angle.
+ * @param {object|null} polar
+ * @param {VesselState} vesselState - Current values of the vessel
+ * @param {{lat: number, lng: number}|null} destination
+ * @returns {Array<{tack: string, path: Array<{lat: number, lng: number}>}>}
+ *   A path for each tack that can lay the destination. Empty if there is no
+ *   polar or destination, the position or true wind is not known, or the
+ *   destination can be laid without a turn.
+ */
+export function getLaylines(polar, vesselState, destination) {
+    const latitude = vesselState["navigation.position.latitude"]?.value;
+    const longitude = vesselState["navigation.position.longitude"]?.value;
+    const twd = vesselState["environment.wind.directionTrue"]?.value;
+    const tws = vesselState["environment.wind.speedTrue"]?.value;
+    if (!polar || !destination || latitude == null || longitude == null ||
+        twd == null || tws == null) return [];
+
+    const position = { lat: latitude, lng: longitude };
+    const bearing = getBearing(position, destination);
+    // How far off the wind the destination lies, 0 to pi
+    const offWind = Math.abs(((bearing - twd + 3 * Math.PI) % (2 * Math.PI)) - Math.PI);
+    const angles = getOptimalAngles(polar, tws);
+    const twa = offWind < Math.PI / 2 ? angles.upwind : angles.downwind;
+
+    // On starboard tack the wind comes over the starboard side
+    const starboard = twd - twa;
+    const port = twd + twa;
+    return [
+        { tack: "starboard", path: getLegs(position, destination, starboard, port) },
+        { tack: "port", path: getLegs(position, destination, port, starboard) },
+    ].filter((l) => l.path);
+}
+
+// Retrieve the polar from browser storage
+export function loadPolar() {
+    try {
+        const saved = localStorage.getItem(polarOptions.storageKey);
+        if (saved) return JSON.parse(saved);
+    } catch (err) {
+        console.error("Unable to load saved polar:", err);
+    }
+    return null;
+}
+
+// Save the polar to browser storage. Null removes it.
+export function savePolar(polar) {
+    try {
+        if (polar) {
+            localStorage.setItem(polarOptions.storageKey, JSON.stringify(polar));
+        } else {
+            localStorage.removeItem(polarOptions.storageKey);
+        }
+    } catch (err) {
+        console.error("Unable to save polar:", err);
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+import { describe, expect, it } from "vitest";
+import { getLaylines, getPolarSpeed, getPolarUpdates, parsePolar } from "./polar.js";
+import { getDistance, Update } from "./utilities.js";
+
+const knotsPerMeterPerSecond = 3600 / 1852;
+const degrees = (d) => d * Math.PI / 180;
+const knots = (k) => k / knotsPerMeterPerSecond;
+
+const table = [
+    "twa/tws;6;8",
+    "45;4;5",
+    "90;6;7",
+    "150;5;6",
+].join("\n");
+
+describe("parsePolar", () => {
+    it("reads a table", () => {
+        const polar = parsePolar(table, "test.csv");
+        expect(polar.name).toBe("test.csv");
+        expect(polar.curves.map((c) => c.tws)).toEqual([6, 8]);
+        expect(polar.curves[0].points).toEqual([
+            { twa: 45, speed: 4 },
+            { twa: 90, speed: 6 },
+            { twa: 150, speed: 5 },
+        ]);
+    });
+
+    it("reads rows of angle and speed pairs", () => {
+        const polar = parsePolar("8 45 5 90 7\n6 45 4 90 6\n", "test.pol");
+        expect(polar.curves.map((c) => c.tws)).toEqual([6, 8]);
+        expect(polar.curves[1].points).toEqual([{ twa: 45, speed: 5 }, { twa: 90, speed: 7 }]);
+    });
+
+    it("skips blank cells rather than reading them as zero", () => {
+        const polar = parsePolar("twa/tws;6;8\n45;4;\n60;;6\n90;6;7\n", "gaps.csv");
+        expect(polar.curves[0].points).toEqual([{ twa: 45, speed: 4 }, { twa: 90, speed: 6 }]);
+        expect(polar.curves[1].points).toEqual([{ twa: 60, speed: 6 }, { twa: 90, speed: 7 }]);
+        // The speed at 60° is interpolated between 45° and 90°
+        expect(getPolarSpeed(polar, degrees(60), knots(6)) * knotsPerMeterPerSecond)
+            .toBeCloseTo(4 + 2 / 3);
+    });
+
+    it("skips placeholders in pairs", () => {
+        const polar = parsePolar("6 45 4 60 - 90 6\n8 45 5 90 7\n", "gaps.pol");
+        expect(polar.curves[0].points).toEqual([{ twa: 45, speed: 4 }, { twa: 90, speed: 6 }]);
+    });
+
+    it("rejects a row without an angle", () => {
+        expect(() => parsePolar("twa/tws;6\nx;3\n", "bad.csv")).toThrow(/without an angle/);
+    });
+
+    it("rejects a file that is too short", () => {
+        expect(() => parsePolar("twa/tws;6\n", "short.csv")).toThrow(/too short/);
+    });
+});
+
+describe("getPolarSpeed", () => {
+    const polar = parsePolar(table, "test.csv");
+    const speedAt = (twa, tws) => getPolarSpeed(polar, degrees(twa), knots(tws)) *
+        knotsPerMeterPerSecond;
+
+    it("interpolates between angles and wind speeds", () => {
+        expect(speedAt(90, 7)).toBeCloseTo(6.5);
+        expect(speedAt(67.5, 6)).toBeCloseTo(5);
+    });
+
+    it("is the same on either tack", () => {
+        expect(speedAt(-90, 8)).toBeCloseTo(speedAt(90, 8));
+    });
+
+    it("falls off to nothing in no wind and head to wind", () => {
+        expect(speedAt(90, 3)).toBeCloseTo(3);
+        expect(speedAt(0, 6)).toBeCloseTo(0);
+    });
+
+    it("holds the last curve above the strongest wind", () => {
+        expect(speedAt(90, 20)).toBeCloseTo(7);
+    });
+});
+
+describe("getPolarUpdates", () => {
+    it("gives the polar speed and the ratio to it, in SignalK units", () => {
+        const polar = parsePolar(table, "test.csv");
+        const time = dayjs(0);
+        const vesselState = {
+            "environment.wind.angleTrueWater": new Update("", degrees(90), "radian", time),
+            "environment.wind.speedTrue": new Update("", knots(8), "meter_per_second", time),
+            "navigation.speedThroughWater": new Update("", knots(3.5), "meter_per_second", time),
+        };
+        const [speed, ratio] = getPolarUpdates(polar, vesselState);
+        expect(speed.unit).toBe("meter_per_second");
+        expect(speed.value * knotsPerMeterPerSecond).toBeCloseTo(7);
+        expect(speed.calculated).toBe(true);
+        expect(ratio.value).toBeCloseTo(0.5);
+    });
+});
+
+describe("getLaylines", () => {
+    const polar = parsePolar(table, "test.csv");
+    const position = { lat: 36.8, lng: -122 };
+    const time = dayjs(0);
+    const vesselState = {
+        "navigation.position.latitude": new Update("", position.lat, "deg", time),
+        "navigation.position.longitude": new Update("", position.lng, "deg", time),
+        // A northerly
+        "environment.wind.directionTrue": new Update("", 0, "radian", time),
+        "environment.wind.speedTrue": new Update("", knots(8), "meter_per_second", time),
+    };
+
+    it("gives a tack each way to a destination dead upwind", () => {
+        const destination = { lat: 36.9, lng: -122 };
+        const laylines = getLaylines(polar, vesselState, destination);
+        expect(laylines.map((l) => l.tack)).toEqual(["starboard", "port"]);
+        for (const { path } of laylines) {
+            expect(path[0]).toEqual(position);
+            expect(path[2]).toEqual(destination);
+            // The turn is to one side of the rhumb line
+            expect(getDistance(path[1], destination)).toBeGreaterThan(0);
+        }
+        // Starboard tack heads off to the west of north
+        expect(laylines[0].path[1].lng).toBeLessThan(position.lng);
+    });
+
+    it("is empty without a destination", () => {
+        expect(getLaylines(polar, vesselState, null)).toEqual([]);
+    });
+});
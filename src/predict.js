@@ -0,0 +1,110 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { predictOptions } from "../flyer.config.js";
+import { latLngAtBearing } from "./utilities.js";
+
+/*
+    The predicted path assumes the vessel keeps up its present speed over
+    ground and rate of turn. A vessel that is turning follows a circle, so the
+    path bends. The rate of turn is taken from navigation.rateOfTurn if the
+    vessel sends it. If not, it is worked out from the history of its COG (or,
+    failing that, its heading) over the last predictOptions.rateOfTurnWindow
+    seconds, as the slope of the line that best fits the angles.
+ */
+
+// Work out the rate of turn from the history of an angle, in radians per
+// second. Null if there is not enough history.
+function getSlope(history) {
+    const points = history?.points;
+    if (!points || points.length < 2) return null;
+    const end = points[points.length - 1].time;
+    const start = end - predictOptions.rateOfTurnWindow * 1000;
+    const recent = points.filter((p) => p.time >= start);
+    if (recent.length < 2 || end === recent[0].time) return null;
+
+    // Unwrap the angles, so a turn through north does not jump by 2π
+    let offset = 0;
+    const angles = recent.map((p, i) => {
+        if (i > 0) {
+            const change = p.value - recent[i - 1].value;
+            if (change > Math.PI) offset -= 2 * Math.PI;
+            else if (change < -Math.PI) offset += 2 * Math.PI;
+        }
+        return p.value + offset;
+    });
+
+    // Least squares, with time in seconds from the first point
+    const times = recent.map((p) => (p.time - recent[0].time) / 1000);
+    const n = recent.length;
+    const meanTime = times.reduce((sum, t) => sum + t, 0) / n;
+    const meanAngle = angles.reduce((sum, a) => sum + a, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+        numerator += (times[i] - meanTime) * (angles[i] - meanAngle);
+        denominator += (times[i] - meanTime) ** 2;
+    }
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Return the rate of turn of a vessel.
+ * @param {VesselState} vesselState - Current values of the vessel
+ * @param {HistoryState} [history] - The history of its values
+ * @returns {number} The rate of turn in radians per second, positive to
+ *   starboard. Zero if it is not known, or too small to count.
+ */
+export function getRateOfTurn(vesselState, history) {
+    let rot = vesselState["navigation.rateOfTurn"]?.value;
+    if (typeof rot !== "number") {
+        rot = getSlope(history?.["navigation.courseOverGroundTrue"]) ??
+            getSlope(history?.["navigation.headingTrue"]);
+    }
+    if (rot == null || Math.abs(rot) < predictOptions.minRateOfTurn) return 0;
+    return rot;
+}
+
+/**
+ * Predict the path of a vessel.
+ * @param {{lat: number, lng: number}} position - Where the vessel is now
+ * @param {number} cog - Course over ground in radians
+ * @param {number} sog - Speed over ground in meters per second
+ * @param {number} rot - Rate of turn in radians per second
+ * @param {number} duration - How far ahead to predict, in seconds
+ * @returns {{path: Array<{lat: number, lng: number}>,
+ *   ticks: Array<{lat: number, lng: number, seconds: number}>}} The path,
+ *   starting at the vessel, and where the vessel will be at each of
+ *   predictOptions.ticks that falls within the duration.
+ */
+export function predictPath(position, cog, sog, rot, duration) {
+    const { step } = predictOptions;
+    const ticks = predictOptions.ticks.filter((t) => t <= duration);
+    const path = [position];
+    const tickPoints = [];
+    let here = position;
+    let course = cog;
+    for (let t = 0; t < duration; t += step) {
+        const dt = Math.min(step, duration - t);
+        // Steer the average course over the step
+        here = latLngAtBearing(here, sog * dt, course + rot * dt / 2);
+        course += rot * dt;
+        path.push(here);
+        for (const tick of ticks) {
+            if (tick > t && tick <= t + dt) {
+                // Ticks that fall inside a step are placed along it
+                const along = tick - t;
+                tickPoints.push({
+                    ...latLngAtBearing(path[path.length - 2], sog * along,
+                        course - rot * dt + rot * along / 2),
+                    seconds: tick,
+                });
+            }
+        }
+    }
+    return { path, ticks: tickPoints };
+}
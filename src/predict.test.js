@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it } from "vitest";
+import { getRateOfTurn, predictPath } from "./predict.js";
+import { getBearing, getDistance } from "./utilities.js";
+
+const degrees = (d) => d * Math.PI / 180;
+const start = { lat: 36.8, lng: -122 };
+
+describe("predictPath", () => {
+    it("goes straight without a rate of turn", () => {
+        const { path, ticks } = predictPath(start, degrees(90), 5, 0, 600);
+        const end = path[path.length - 1];
+        expect(getDistance(start, end)).toBeCloseTo(3000, -1);
+        expect(getBearing(start, end)).toBeCloseTo(degrees(90), 2);
+        expect(ticks.map((t) => t.seconds)).toEqual([60, 300]);
+        expect(getDistance(start, ticks[0])).toBeCloseTo(300, -1);
+    });
+
+    it("bends with the rate of turn", () => {
+        // Half a circle to starboard, heading north
+        const rot = Math.PI / 600;
+        const { path } = predictPath(start, 0, 5, rot, 600);
+        const end = path[path.length - 1];
+        // The diameter of a circle with a circumference of 6000 m
+        expect(getDistance(start, end)).toBeCloseTo(2 * 3000 / Math.PI, -1);
+        expect(getBearing(start, end)).toBeCloseTo(degrees(90), 2);
+    });
+});
+
+describe("getRateOfTurn", () => {
+    it("uses the rate of turn the vessel sends", () => {
+        expect(getRateOfTurn({ "navigation.rateOfTurn": { value: 0.01 } })).toBe(0.01);
+    });
+
+    it("works it out from the COG, through north", () => {
+        const points = [350, 355, 0, 5, 10].map((d, i) => ({ time: i * 1000, value: degrees(d) }));
+        const rot = getRateOfTurn({}, { "navigation.courseOverGroundTrue": { points } });
+        expect(rot).toBeCloseTo(degrees(5));
+    });
+
+    it("counts a small rate of turn as going straight", () => {
+        expect(getRateOfTurn({ "navigation.rateOfTurn": { value: 0.0001 } })).toBe(0);
+    });
+});
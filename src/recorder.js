@@ -0,0 +1,111 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { recorderOptions } from "../flyer.config.js";
+
+/*
+    The recorder keeps each message it captures in IndexedDB, so a capture
+    survives a reload. A record looks like:
+    {
+        "time": 1723416761018,
+        "topic": "signalk/delta",
+        "payload": "{\"context\": \"vessels.urn:mrn:imo:mmsi:367199590\", ...}"
+    }
+    where "time" is when the message was received, in milliseconds since the
+    unix epoch, and "payload" is the message exactly as received.
+ */
+
+// The database is opened once, the first time it is needed.
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(recorderOptions.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(recorderOptions.storeName,
+                    { autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run a request against the store of records, and resolve with its result.
+async function withStore(mode, makeRequest) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(recorderOptions.storeName, mode);
+        const request = makeRequest(
+            transaction.objectStore(recorderOptions.storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Save a captured message.
+ * @param {{time: number, topic: string, payload: string}} record
+ * @returns {Promise}
+ */
+export function addRecord(record) {
+    return withStore("readwrite", (store) => store.add(record));
+}
+
+/**
+ * Retrieve every captured message, oldest first.
+ * @returns {Promise<Array<{time: number, topic: string, payload: string}>>}
+ */
+export function getRecords() {
+    return withStore("readonly", (store) => store.getAll());
+}
+
+/**
+ * How many messages have been captured.
+ * @returns {Promise<number>}
+ */
+export function countRecords() {
+    return withStore("readonly", (store) => store.count());
+}
+
+/**
+ * Throw away every captured message.
+ * @returns {Promise}
+ */
+export function clearRecords() {
+    return withStore("readwrite", (store) => store.clear());
+}
+
+// Whether a capture is under way is kept in browser storage, so recording
+// carries on after a reload.
+export function isRecording() {
+    try {
+        return localStorage.getItem(recorderOptions.recordingKey) === "true";
+    } catch (err) {
+        console.error("Unable to load recording state:", err);
+        return false;
+    }
+}
+
+export function setRecording(recording) {
+    try {
+        localStorage.setItem(recorderOptions.recordingKey, String(recording));
+    } catch (err) {
+        console.error("Unable to save recording state:", err);
+    }
+}
+
+/**
+ * Turn records into JSON lines: one JSON record per line.
+ * @param {Array<object>} records
+ * @returns {string}
+ */
+export function toJSONLines(records) {
+    return records.map((record) => JSON.stringify(record)).join("\n") + "\n";
+}
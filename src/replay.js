@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/*
+    A log of recorded SignalK deltas has one JSON delta per line, exactly as
+    published on the "signalk/delta" topic. It can also be a log saved by the
+    recorder, where each line holds a record with the time the message was
+    received, its topic, and its payload. Only the records of SignalK deltas
+    are kept: the others, such as the status or the anchor watch, belong to
+    the live session. Either way, it is turned into an array of entries, each
+    of which looks like:
+    {
+        "time": 1723416761018,
+        "topic": "signalk/delta",
+        "payload": "{\"context\": \"vessels.urn:mrn:imo:mmsi:367199590\", ...}"
+    }
+    where "time" is in milliseconds since the unix epoch. Times never go
+    backwards.
+ */
+
+// The topics SignalK deltas come in on, "signalk/delta" and
+// "signalk/<vesselId>/delta"
+const deltaTopic = /^signalk\/([^/]+\/)?delta$/;
+
+// The time of a delta is the time of its earliest update. Returns null if no
+// update has a timestamp.
+function getDeltaTime(delta) {
+    let time = null;
+    for (let update of delta.updates) {
+        const t = Date.parse(update.timestamp);
+        if (!isNaN(t) && (time == null || t < time)) time = t;
+    }
+    return time;
+}
+
+/**
+ * Parse the text of a log of recorded SignalK deltas.
+ * @param {string} text - The contents of the log
+ * @returns {Array<{time: number, topic: string, payload: string}>}
+ * @throws {Error} If the log holds no deltas
+ */
+export function parseDeltaLog(text) {
+    let entries = [];
+    let lastTime = null;
+    for (let line of text.split("\n")) {
+        line = line.trim();
+        if (!line) continue;
+        let delta;
+        try {
+            delta = JSON.parse(line);
+        } catch (err) {
+            console.warn("Skipping bad line in log:", err.message);
+            continue;
+        }
+        // A record saved by the recorder carries its own time and topic
+        if (delta.topic != null && delta.payload != null && delta.time != null) {
+            if (!deltaTopic.test(delta.topic)) continue;
+            lastTime = Math.max(lastTime ?? delta.time, delta.time);
+            entries.push({
+                time: lastTime,
+                topic: delta.topic,
+                payload: delta.payload,
+            });
+            continue;
+        }
+        if (!Array.isArray(delta.updates)) continue;
+        const time = getDeltaTime(delta);
+        // Deltas without a time, or that arrive out of order, are played at
+        // the time of the one before.
+        if (time != null && (lastTime == null || time > lastTime)) {
+            lastTime = time;
+        }
+        if (lastTime == null) continue;
+        entries.push({ time: lastTime, topic: "signalk/delta", payload: line });
+    }
+    if (!entries.length) {
+        throw new Error("No SignalK deltas or records with timestamps were found.");
+    }
+    return entries;
+}
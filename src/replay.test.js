@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it, vi } from "vitest";
+import { parseDeltaLog } from "./replay.js";
+
+// A delta with an update at each of the given times
+function delta(...times) {
+    return JSON.stringify({
+        context: "vessels.self",
+        updates: times.map((timestamp) => ({ timestamp, values: [] })),
+    });
+}
+
+describe("parseDeltaLog", () => {
+    it("times each delta by its earliest update", () => {
+        const entries = parseDeltaLog([
+            delta("2024-08-12T00:00:05Z", "2024-08-12T00:00:01Z"),
+            delta("2024-08-12T00:00:10Z"),
+        ].join("\n"));
+        expect(entries.map((e) => e.time)).toEqual([
+            Date.UTC(2024, 7, 12, 0, 0, 1),
+            Date.UTC(2024, 7, 12, 0, 0, 10),
+        ]);
+        expect(entries[0].topic).toBe("signalk/delta");
+    });
+
+    it("plays a delta out of order, or without a time, at the time of the one before", () => {
+        const entries = parseDeltaLog([
+            delta("2024-08-12T00:00:10Z"),
+            delta("2024-08-12T00:00:05Z"),
+            delta(),
+        ].join("\n"));
+        expect(new Set(entries.map((e) => e.time))).toEqual(new Set([Date.UTC(2024, 7, 12, 0, 0, 10)]));
+    });
+
+    it("skips bad lines and deltas before the first time", () => {
+        vi.spyOn(console, "warn").mockImplementation(() => {});
+        const entries = parseDeltaLog(["{oops", delta(), delta("2024-08-12T00:00:10Z")].join("\n"));
+        expect(entries).toHaveLength(1);
+    });
+
+    it("keeps only the deltas from a recording", () => {
+        const entries = parseDeltaLog([
+            { time: 1000, topic: "signalk/367199590/delta", payload: delta() },
+            { time: 2000, topic: "anchor/367199590", payload: "{}" },
+            { time: 1500, topic: "signalk/delta", payload: delta() },
+        ].map((record) => JSON.stringify(record)).join("\n"));
+        expect(entries.map((e) => [e.time, e.topic])).toEqual([
+            [1000, "signalk/367199590/delta"],
+            [1500, "signalk/delta"],
+        ]);
+    });
+
+    it("rejects a log without deltas", () => {
+        expect(() => parseDeltaLog("\n\n")).toThrow(/No SignalK deltas/);
+    });
+});
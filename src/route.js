@@ -0,0 +1,176 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { routeOptions } from "../flyer.config.js";
+import { signalKUnits } from "./units.js";
+import { getBearing, getDistance, Update } from "./utilities.js";
+
+/*
+    A route looks like:
+    {
+        "name": "Monterey to Santa Cruz",
+        "waypoints": [
+            {"lat": 36.6085, "lng": -121.8932, "name": "Monterey"},
+            {"lat": 36.9586, "lng": -122.0017, "name": "Santa Cruz"}
+        ],
+        "active": 1
+    }
+    where "active" is the index of the waypoint being steered for, or null if
+    the route is not being followed. The leg being sailed runs from the
+    waypoint before the active one to the active one.
+ */
+
+// The paths computed for the waypoint being steered for. They use the names
+// SignalK gives them.
+const paths = {
+    distance: "navigation.courseGreatCircle.nextPoint.distance",
+    bearing: "navigation.courseGreatCircle.nextPoint.bearingTrue",
+    xte: "navigation.courseGreatCircle.crossTrackError",
+    vmg: "navigation.courseGreatCircle.nextPoint.velocityMadeGood",
+    eta: "navigation.courseGreatCircle.nextPoint.estimatedTimeOfArrival",
+};
+
+// Mean radius of the Earth in meters
+const R = 6371e3;
+
+// Return a new, empty route
+export function newRoute() {
+    return { name: "Route", waypoints: [], active: null };
+}
+
+/**
+ * Calculate the cross-track error: how far a position is from the great
+ * circle through the start and end of a leg.
+ * @param {{lat: number, lng: number}} start - Start of the leg
+ * @param {{lat: number, lng: number}} end - End of the leg
+ * @param {{lat: number, lng: number}} position - Where the vessel is
+ * @returns {number} Distance in meters. Positive if the vessel is to the
+ *   right of the leg, negative if to the left.
+ */
+export function getCrossTrackError(start, end, position) {
+    const angular_distance = getDistance(start, position) / R;
+    const delta_bearing = getBearing(start, position) - getBearing(start, end);
+    return Math.asin(Math.sin(angular_distance) * Math.sin(delta_bearing)) * R;
+}
+
+/**
+ * Move on to the next waypoint once the active one has been reached.
+ * @param {object} route - The route. It is not changed.
+ * @param {{lat: number, lng: number}} position - Where the vessel is
+ * @returns {object} The route, with a new active waypoint if the old one was
+ *   reached. If nothing changed, this is the route passed in.
+ */
+export function advanceRoute(route, position) {
+    const { waypoints, active } = route;
+    if (active == null || active >= waypoints.length - 1) return route;
+    if (getDistance(position, waypoints[active]) > routeOptions.arrivalRadius) {
+        return route;
+    }
+    return { ...route, active: active + 1 };
+}
+
+/**
+ * Work out how the vessel is doing against the waypoint it is steering for.
+ * @param {object} route - The route
+ * @param {VesselState} vesselState - Current values of the vessel
+ * @returns {Array<Update>} Updates for the distance and bearing to the
+ *   waypoint, the cross-track error, the VMG toward the waypoint, and the
+ *   ETA there. Values that cannot be worked out are left out.
+ */
+export function getRouteUpdates(route, vesselState) {
+    const { waypoints, active } = route;
+    const latitude = vesselState["navigation.position.latitude"];
+    const longitude = vesselState["navigation.position.longitude"];
+    if (active == null || !waypoints[active] || !latitude || !longitude) return [];
+
+    const position = { lat: latitude.value, lng: longitude.value };
+    const waypoint = waypoints[active];
+    const last_update = latitude.last_update;
+    const update = (name, value) =>
+        new Update(paths[name], value, signalKUnits[paths[name]], last_update);
+
+    const distance = getDistance(position, waypoint);
+    const bearing = getBearing(position, waypoint);
+    let updates = [update("distance", distance), update("bearing", bearing)];
+
+    // The first waypoint has no leg leading to it
+    if (active > 0) {
+        updates.push(update("xte",
+            getCrossTrackError(waypoints[active - 1], waypoint, position)));
+    }
+
+    const sog = vesselState["navigation.speedOverGround"]?.value;
+    const cog = vesselState["navigation.courseOverGroundTrue"]?.value;
+    if (sog != null && cog != null) {
+        updates.push(update("vmg", sog * Math.cos(cog - bearing)));
+    }
+    // The ETA assumes the vessel keeps up its present speed over ground
+    if (sog > 0) {
+        updates.push(update("eta", last_update.valueOf() + (distance / sog) * 1000));
+    }
+    return updates;
+}
+
+/**
+ * Parse a route out of a GPX document. The first route (<rte>) in it is used.
+ * If there is none, its waypoints (<wpt>) are taken, in order.
+ * @param {string} text - The GPX document
+ * @returns {object} The route. It is not active.
+ * @throws {Error} If the document is not GPX, or holds no points.
+ */
+export function parseRouteGPX(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.getElementsByTagName("parsererror").length) {
+        throw new Error("Not a valid GPX file.");
+    }
+    const rte = doc.getElementsByTagName("rte")[0];
+    const points = rte ? rte.getElementsByTagName("rtept") : doc.getElementsByTagName("wpt");
+    // Only the name that belongs directly to an element will do
+    const getName = (element) => [...element.children]
+        .find((child) => child.tagName === "name")?.textContent.trim();
+
+    // A missing attribute must not be taken for 0
+    const getNumber = (element, name) => {
+        const value = element.getAttribute(name);
+        return value == null || value.trim() === "" ? NaN : Number(value);
+    };
+
+    const waypoints = [...points].map((point, i) => ({
+        lat: getNumber(point, "lat"),
+        lng: getNumber(point, "lon"),
+        name: getName(point) || "WP" + (i + 1),
+    }));
+    if (!waypoints.length) throw new Error("No route or waypoints found in the file.");
+    if (waypoints.some((w) => !isFinite(w.lat) || !isFinite(w.lng))) {
+        throw new Error("The file holds a point with a bad position.");
+    }
+    return {
+        name: (rte && getName(rte)) || "Imported route",
+        waypoints,
+        active: null,
+    };
+}
+
+// Retrieve the route from browser storage
+export function loadRoute() {
+    try {
+        const saved = localStorage.getItem(routeOptions.storageKey);
+        if (saved) return JSON.parse(saved);
+    } catch (err) {
+        console.error("Unable to load saved route:", err);
+    }
+    return newRoute();
+}
+
+// Save the route to browser storage
+export function saveRoute(route) {
+    try {
+        localStorage.setItem(routeOptions.storageKey, JSON.stringify(route));
+    } catch (err) {
+        console.error("Unable to save route:", err);
+    }
+}
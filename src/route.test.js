@@ -0,0 +1,88 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it } from "vitest";
+import { toRouteGPX } from "./export.js";
+import { advanceRoute, getCrossTrackError, parseRouteGPX } from "./route.js";
+
+// Wrap points in a GPX document
+const gpx = (body) => `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">${body}</gpx>`;
+
+describe("parseRouteGPX", () => {
+    it("reads the first route", () => {
+        const route = parseRouteGPX(gpx(`
+            <rte><name>Out</name>
+                <rtept lat="36.6" lon="-121.9"><name>Start</name></rtept>
+                <rtept lat="36.8" lon="-122.0"></rtept>
+            </rte>`));
+        expect(route).toEqual({
+            name: "Out",
+            waypoints: [
+                { lat: 36.6, lng: -121.9, name: "Start" },
+                { lat: 36.8, lng: -122.0, name: "WP2" },
+            ],
+            active: null,
+        });
+    });
+
+    it("falls back to waypoints", () => {
+        const route = parseRouteGPX(gpx(`<wpt lat="1" lon="2"><name>A</name></wpt>`));
+        expect(route.name).toBe("Imported route");
+        expect(route.waypoints).toEqual([{ lat: 1, lng: 2, name: "A" }]);
+    });
+
+    it("rejects a point without a latitude or longitude", () => {
+        expect(() => parseRouteGPX(gpx(`<rte><rtept lon="-121.9"/></rte>`)))
+            .toThrow(/bad position/);
+        expect(() => parseRouteGPX(gpx(`<rte><rtept lat="36.6" lon=""/></rte>`)))
+            .toThrow(/bad position/);
+    });
+
+    it("rejects a document that is not XML", () => {
+        expect(() => parseRouteGPX("not gpx")).toThrow(/Not a valid GPX/);
+    });
+
+    it("rejects a document without points", () => {
+        expect(() => parseRouteGPX(gpx(""))).toThrow(/No route or waypoints/);
+    });
+
+    it("reads back a route it exported", () => {
+        const route = {
+            name: "Bait & tackle",
+            waypoints: [{ lat: 36.6, lng: -121.9, name: "<Start>" }, { lat: 0, lng: 0, name: "Null Island" }],
+            active: null,
+        };
+        expect(parseRouteGPX(toRouteGPX(route))).toEqual(route);
+    });
+});
+
+describe("getCrossTrackError", () => {
+    const start = { lat: 0, lng: 0 };
+    const end = { lat: 1, lng: 0 };
+
+    it("is positive to the right of the leg", () => {
+        expect(getCrossTrackError(start, end, { lat: 0.5, lng: 0.01 })).toBeCloseTo(1112, -1);
+        expect(getCrossTrackError(start, end, { lat: 0.5, lng: -0.01 })).toBeCloseTo(-1112, -1);
+    });
+});
+
+describe("advanceRoute", () => {
+    const route = {
+        name: "Test",
+        waypoints: [{ lat: 0, lng: 0, name: "A" }, { lat: 1, lng: 0, name: "B" }],
+        active: 0,
+    };
+
+    it("moves on once a waypoint is reached", () => {
+        expect(advanceRoute(route, { lat: 0.0001, lng: 0 }).active).toBe(1);
+    });
+
+    it("is left alone short of the waypoint", () => {
+        expect(advanceRoute(route, { lat: 0.5, lng: 0 })).toBe(route);
+    });
+});
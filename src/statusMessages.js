@@ -0,0 +1,129 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { statusOptions } from "../flyer.config.js";
+
+/*
+    A status message is published as JSON to the retained statusOptions.topic.
+    It looks like:
+    {
+        "text": "Anchored in Monterey for the night.",
+        "author": "Tom",
+        "timestamp": 1723416761018,
+        "expires": 1723503161018,
+        "severity": "info"
+    }
+    Times are in milliseconds since the unix epoch. "expires" is null if the
+    status does not expire. "severity" is one of statusOptions.severities.
+
+    Earlier messages are kept, newest first, as a JSON array in the retained
+    statusOptions.historyTopic. Messages to be published in the future go in
+    a JSON array in the retained statusOptions.scheduledTopic. Their
+    timestamp is when they are due. Once due, every viewer shows a scheduled
+    message as if it had been published then, so nothing has to be running
+    to publish it.
+
+    Older publishers sent the status as a plain string. Such a message has no
+    author or time.
+ */
+
+// Make sure a status has every field
+function normalize(status) {
+    return {
+        text: String(status.text),
+        author: status.author || null,
+        timestamp: typeof status.timestamp === "number" ? status.timestamp : null,
+        expires: typeof status.expires === "number" ? status.expires : null,
+        severity: statusOptions.severities.includes(status.severity)
+            ? status.severity : statusOptions.severities[0],
+    };
+}
+
+/**
+ * Parse a status message out of an MQTT payload, or out of what was saved
+ * in the browser.
+ * @param {string|object|null} payload - JSON, or a plain string from an older
+ *   publisher
+ * @returns {object|null} The status, or null if the payload is empty.
+ */
+export function parseStatus(payload) {
+    if (payload == null || payload === "") return null;
+    if (typeof payload === "object") return normalize(payload);
+    try {
+        const status = JSON.parse(payload);
+        if (status && typeof status === "object" && "text" in status) {
+            return normalize(status);
+        }
+    } catch {
+        // Not JSON. It must be a plain string.
+    }
+    return normalize({ text: payload });
+}
+
+/**
+ * Parse a list of status messages out of an MQTT payload.
+ * @param {string} payload - A JSON array, or an empty string
+ * @returns {Array<object>}
+ */
+export function parseStatusList(payload) {
+    if (!payload) return [];
+    try {
+        const list = JSON.parse(payload);
+        if (Array.isArray(list)) return list.filter((s) => s?.text != null).map(normalize);
+    } catch (err) {
+        console.error("Bad list of status messages:", err);
+    }
+    return [];
+}
+
+/**
+ * Check whether a status has expired.
+ * @param {object} status
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {boolean}
+ */
+export function isExpired(status, now) {
+    return status.expires != null && status.expires <= now;
+}
+
+/**
+ * Work out which status is current, taking in any scheduled ones that have
+ * come due and dropping any that have expired.
+ * @param {object|null} current - The status last published
+ * @param {Array<object>} history - Earlier ones, newest first
+ * @param {Array<object>} scheduled - The scheduled ones
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {{current: object|null, history: Array<object>}} The current
+ *   status, or null if there is none, and the rest, newest first. A status
+ *   from an older publisher has no time, so it counts as older than any other.
+ */
+export function getEffectiveStatus(current, history, scheduled, now) {
+    const time = (status) => status.timestamp ?? -Infinity;
+    const candidates = [current, ...scheduled.filter((s) => s.timestamp <= now)]
+        .filter((s) => s != null)
+        .sort((a, b) => time(b) - time(a));
+    const newest = candidates[0] && !isExpired(candidates[0], now) ? candidates[0] : null;
+    const rest = [...candidates.filter((s) => s !== newest), ...history]
+        .sort((a, b) => time(b) - time(a));
+    return { current: newest, history: rest.slice(0, statusOptions.historyLength) };
+}
+
+/**
+ * Describe how long ago something happened, such as "5 min ago".
+ * @param {number} timestamp - When it happened, in milliseconds since the
+ *   unix epoch
+ * @param {number} now - The current time in milliseconds since the unix epoch
+ * @returns {string}
+ */
+export function formatAge(timestamp, now) {
+    const minutes = Math.floor((now - timestamp) / 60000);
+    if (minutes < 1) return "just now";
+    if (minutes < 60) return minutes + " min ago";
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return hours + " h ago";
+    return Math.floor(hours / 24) + " days ago";
+}
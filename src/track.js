@@ -0,0 +1,116 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { trackOptions } from "../flyer.config.js";
+
+/*
+    A track is an array of points, oldest first. Each point looks like:
+    {
+        "lat": 36.6002,
+        "lng": -121.8947,
+        "time": 1723416761018,
+        "sog": 3.2,
+        "cog": 4.712,
+        "heading": 4.701
+    }
+    where "time" is in milliseconds since the unix epoch. The speed over
+    ground (m/s), course over ground (radians), and heading (radians) are the
+    latest known at the time of the position. Any of them may be missing.
+ */
+
+// Accumulates the positions of the vessel.
+export class Track {
+    constructor(oldTrack) {
+        this.points = oldTrack?.points ? [...oldTrack.points] : [];
+    }
+
+    /**
+     * Add a position to the end of the track.
+     * @param {{lat: number, lng: number, time: number}} position - The
+     *   position, and its time in milliseconds since the unix epoch.
+     * @param {{sog: number, cog: number, heading: number}} [motion] - The
+     *   latest speed over ground, course over ground, and heading
+     * @returns {Track}
+     */
+    addPosition(position, motion) {
+        const { lat, lng, time } = position;
+        const last = this.points[this.points.length - 1];
+        // Ignore duplicates and anything that arrives out of order
+        if (last && time <= last.time) return this;
+        this.points.push({ lat, lng, time, ...motion });
+        // Thin out the older points every so often, so the track does not grow
+        // without bound.
+        if (this.points.length % trackOptions.thinEvery === 0) {
+            this.points = thinPoints(this.points, time);
+        }
+        return this;
+    }
+
+    /**
+     * Return the points that lie within a time window.
+     * @param {number|null} windowLength - Length of the window in seconds.
+     *   Null means the whole passage.
+     * @param {number} now - Current time in milliseconds since the unix epoch.
+     * @returns {Array<{lat: number, lng: number, time: number}>}
+     */
+    getPoints(windowLength, now) {
+        if (windowLength == null) return this.points;
+        const start = now - windowLength * 1000;
+        return this.points.filter((p) => p.time >= start);
+    }
+}
+
+/**
+ * Thin out old points. The rules in trackOptions.thinning say how far apart
+ * points must be (in seconds) once they reach a given age (in seconds).
+ * Points younger than the first rule are always kept.
+ * @param {Array<object>} points - Track points, oldest first
+ * @param {number} now - Current time in milliseconds since the unix epoch.
+ * @returns {Array<object>} The thinned points
+ */
+export function thinPoints(points, now) {
+    let thinned = [];
+    for (let point of points) {
+        const age = (now - point.time) / 1000;
+        // Find the most aggressive rule that applies to a point of this age
+        let spacing = 0;
+        for (let rule of trackOptions.thinning) {
+            if (age >= rule.age) spacing = Math.max(spacing, rule.spacing);
+        }
+        const last = thinned[thinned.length - 1];
+        if (!last || (point.time - last.time) / 1000 >= spacing) {
+            thinned.push(point);
+        }
+    }
+    return thinned;
+}
+
+// Each vessel's track is saved under its own key
+function getStorageKey(context) {
+    return trackOptions.storageKey + ":" + context;
+}
+
+// Retrieve the saved track of a vessel from browser storage
+export function loadTrack(context) {
+    try {
+        const saved = localStorage.getItem(getStorageKey(context));
+        if (saved) return new Track({ points: JSON.parse(saved) });
+    } catch (err) {
+        console.error("Unable to load saved track:", err);
+    }
+    return new Track();
+}
+
+// Save the track of a vessel to browser storage
+export function saveTrack(context, track) {
+    try {
+        localStorage.setItem(getStorageKey(context),
+            JSON.stringify(track.points));
+    } catch (err) {
+        console.error("Unable to save track:", err);
+    }
+}
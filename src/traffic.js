@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { aisOptions } from "../flyer.config.js";
+import { getVesselId } from "./utilities.js";
+
+/*
+    An AIS target looks like:
+    {
+        "context": "vessels.urn:mrn:imo:mmsi:338123456",
+        "mmsi": "338123456",
+        "name": "Point Sur",
+        "lat": 36.62,
+        "lng": -121.90,
+        "sog": 5.1,
+        "cog": 1.57,
+        "heading": 1.55,
+        "last_update": 1723416761018
+    }
+    where "sog" is in m/s, "cog" and "heading" are in radians, and
+    "last_update" is in milliseconds since the unix epoch. Anything but the
+    context and MMSI may be missing.
+ */
+
+// The paths we care about, and the names they go by in a target
+const targetPaths = {
+    "navigation.position.latitude": "lat",
+    "navigation.position.longitude": "lng",
+    "navigation.speedOverGround": "sog",
+    "navigation.courseOverGroundTrue": "cog",
+    "navigation.headingTrue": "heading",
+    name: "name",
+};
+
+// This will accumulate the AIS targets, keyed by their SignalK context.
+export class TrafficState {
+    constructor(oldState) {
+        Object.assign(this, oldState);
+    }
+
+    mergeUpdates(context, updates) {
+        let target = {
+            context,
+            mmsi: getVesselId(context),
+            ...this[context],
+        };
+        for (let update of updates) {
+            // The vessel's name comes in as part of an update with an empty path
+            if (update.key === "" && update.value?.name) {
+                target.name = update.value.name;
+            } else if (update.key in targetPaths) {
+                target[targetPaths[update.key]] = update.value;
+            }
+            target.last_update = Math.max(target.last_update || 0,
+                update.last_update.valueOf());
+        }
+        this[context] = target;
+        return this;
+    }
+
+    /**
+     * The targets heard from recently, that have a position.
+     * @param {number} now - The current time in milliseconds since the unix
+     *   epoch.
+     * @returns {Array<object>}
+     */
+    getTargets(now) {
+        return Object.values(this).filter((target) =>
+            target.lat != null && target.lng != null &&
+            now - target.last_update <= aisOptions.maxAge * 1000);
+    }
+}
+
+/**
+ * Calculate the closest point of approach between our vessel and a target,
+ * assuming both hold their course and speed. Over the short distances that
+ * matter, treating the earth as flat around our vessel is good enough.
+ * @param {{lat: number, lng: number, sog: number, cog: number}} own - Our
+ *   vessel. Speed in m/s, course in radians.
+ * @param {{lat: number, lng: number, sog: number, cog: number}} target
+ * @returns {{range: number, cpa: number, tcpa: number}} The range now and
+ *   the distance at closest approach, in meters, and the time until closest
+ *   approach, in seconds. The time is negative if the vessels are getting
+ *   farther apart.
+ */
+export function computeCPA(own, target) {
+    const R = 6371e3; // Earth's radius in meters
+    const lat_radians = (own.lat * Math.PI) / 180;
+    // Where the target is, relative to us, in meters east and north
+    const dx = ((target.lng - own.lng) * Math.PI / 180) * R * Math.cos(lat_radians);
+    const dy = ((target.lat - own.lat) * Math.PI / 180) * R;
+    // How fast the target is moving, relative to us, in m/s east and north
+    const ownSog = own.sog || 0;
+    const targetSog = target.sog || 0;
+    const dvx = targetSog * Math.sin(target.cog || 0) - ownSog * Math.sin(own.cog || 0);
+    const dvy = targetSog * Math.cos(target.cog || 0) - ownSog * Math.cos(own.cog || 0);
+
+    const range = Math.sqrt(dx * dx + dy * dy);
+    const dv2 = dvx * dvx + dvy * dvy;
+    // If there is no relative motion, the range never changes
+    if (dv2 < 1e-6) return { range, cpa: range, tcpa: 0 };
+
+    const tcpa = -(dx * dvx + dy * dvy) / dv2;
+    // If the closest approach is in the past, it is now
+    const t = Math.max(tcpa, 0);
+    const cpa = Math.sqrt(Math.pow(dx + dvx * t, 2) + Math.pow(dy + dvy * t, 2));
+    return { range, cpa, tcpa };
+}
+
+/**
+ * Is a closest point of approach close enough, and soon enough, to be a
+ * danger?
+ * @param {{cpa: number, tcpa: number}} approach - As returned by computeCPA()
+ * @returns {boolean}
+ */
+export function isDangerous(approach) {
+    return approach.tcpa >= 0 &&
+        approach.tcpa <= aisOptions.tcpaLimit &&
+        approach.cpa <= aisOptions.cpaLimit;
+}
+
+/**
+ * Work out the range and closest point of approach of each target, and
+ * whether it is a danger. Targets are returned closest first.
+ * @param {Array<object>} targets - The AIS targets
+ * @param {{lat: number, lng: number, sog: number, cog: number}|null} own -
+ *   Our vessel, or null if its position is not known.
+ * @returns {Array<object>} The targets, each with "range", "cpa", "tcpa",
+ *   and "dangerous" added.
+ */
+export function assessTargets(targets, own) {
+    if (!own) return targets.map((target) => ({ ...target, dangerous: false }));
+    return targets
+        .map((target) => {
+            const approach = computeCPA(own, target);
+            return { ...target, ...approach, dangerous: isDangerous(approach) };
+        })
+        .sort((a, b) => a.range - b.range);
+}
@@ -0,0 +1,74 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import dayjs from "dayjs";
+import { describe, expect, it } from "vitest";
+import { assessTargets, computeCPA, isDangerous, TrafficState } from "./traffic.js";
+import { Update } from "./utilities.js";
+
+// One minute of latitude is a nautical mile
+const mile = 1 / 60;
+
+describe("computeCPA", () => {
+    it("finds the closest approach of a crossing target", () => {
+        const own = { lat: 0, lng: 0, sog: 5, cog: 0 };
+        // A mile east and a mile north, heading west as fast as we head north
+        const target = { lat: mile, lng: mile, sog: 5, cog: 3 * Math.PI / 2 };
+        const { range, cpa, tcpa } = computeCPA(own, target);
+        expect(range).toBeCloseTo(1852 * Math.SQRT2, -1);
+        expect(cpa).toBeCloseTo(0, -1);
+        expect(tcpa).toBeCloseTo(1852 / 5, -1);
+    });
+
+    it("gives a negative time when the vessels are getting apart", () => {
+        const own = { lat: 0, lng: 0, sog: 5, cog: Math.PI };
+        const target = { lat: mile, lng: 0, sog: 0, cog: 0 };
+        const approach = computeCPA(own, target);
+        expect(approach.tcpa).toBeLessThan(0);
+        // The closest approach was in the past, so it is now
+        expect(approach.cpa).toBeCloseTo(approach.range);
+        expect(isDangerous(approach)).toBe(false);
+    });
+
+    it("keeps the range without relative motion", () => {
+        const own = { lat: 0, lng: 0, sog: 5, cog: 1 };
+        const target = { lat: mile, lng: 0, sog: 5, cog: 1 };
+        const approach = computeCPA(own, target);
+        expect(approach.cpa).toBe(approach.range);
+        expect(approach.tcpa).toBe(0);
+    });
+});
+
+describe("assessTargets", () => {
+    it("sorts the targets closest first, and marks the dangerous ones", () => {
+        const own = { lat: 0, lng: 0, sog: 0, cog: 0 };
+        const far = { context: "far", lat: 0.5, lng: 0, sog: 0, cog: 0 };
+        const near = { context: "near", lat: mile / 2, lng: 0, sog: 5, cog: Math.PI };
+        const assessed = assessTargets([far, near], own);
+        expect(assessed.map((t) => t.context)).toEqual(["near", "far"]);
+        expect(assessed.map((t) => t.dangerous)).toEqual([true, false]);
+    });
+});
+
+describe("TrafficState", () => {
+    it("keeps the targets heard from recently, that have a position", () => {
+        const time = dayjs(1000);
+        const state = new TrafficState()
+            .mergeUpdates("vessels.urn:mrn:imo:mmsi:338123456", [
+                new Update("navigation.position.latitude", 36.6, "deg", time),
+                new Update("navigation.position.longitude", -121.9, "deg", time),
+                new Update("", { name: "Point Sur" }, null, time),
+            ])
+            .mergeUpdates("vessels.urn:mrn:imo:mmsi:338000000", [
+                new Update("navigation.speedOverGround", 3, "meter_per_second", time),
+            ]);
+        const targets = state.getTargets(2000);
+        expect(targets).toHaveLength(1);
+        expect(targets[0]).toMatchObject({ mmsi: "338123456", name: "Point Sur", lat: 36.6 });
+        expect(state.getTargets(1000 + 601 * 1000)).toEqual([]);
+    });
+});
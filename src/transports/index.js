@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { transportOptions } from "../../flyer.config.js";
+import { connectMqtt, describeMqtt } from "./mqtt.js";
+import { connectSignalK, describeSignalK } from "./signalk.js";
+
+/*
+    The app gets its data only through what is exported here, so that it does
+    not care where the data comes from. The transport is chosen by
+    transportOptions.type. Each offers a client that behaves like the part of
+    an mqtt.js client that the app uses:
+
+    on(event, handler): Listen for
+        "connect": The connection is up
+        "reconnect": Trying to connect again, after it dropped
+        "close", "offline": The connection is down
+        "error"(err): Something went wrong, such as bad credentials
+        "message"(topic, payload): A message came in. SignalK deltas come in
+            on "signalk/delta". The payload has a toString() method that
+            returns its text.
+    subscribe(topics): Start getting messages on a topic, or an array of them
+    publishAsync(topic, payload, options): Publish a message. Returns a
+        promise that settles once the other end has answered. Rejects with the
+        reason if it is refused.
+    end(force, callback): Close the connection. Both arguments are optional.
+    connected: True while the connection is up
+    self: The SignalK context of the vessel the data comes from, once the
+        other end has said. Only a SignalK server says.
+
+    Not every transport can publish. Ask canPublish() before offering to.
+ */
+
+const transports = {
+    mqtt: { connect: connectMqtt, describe: describeMqtt, canPublish: true },
+    signalk: { connect: connectSignalK, describe: describeSignalK, canPublish: false },
+};
+
+function getTransport() {
+    const transport = transports[transportOptions.type];
+    if (!transport) {
+        throw new Error(`Unknown transport "${transportOptions.type}". ` +
+            `It must be one of ${Object.keys(transports).join(", ")}.`);
+    }
+    return transport;
+}
+
+/**
+ * Connect to wherever the data comes from.
+ * @param {object} options
+ * @param {string} options.clientId - Who is connecting
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {number} [options.protocolVersion] - For MQTT, 5 to hear back
+ *   when a publish is refused
+ * @returns {object} The client
+ */
+export function connect(options) {
+    return getTransport().connect(options);
+}
+
+// Say where the data comes from, for the log
+export function describeConnection() {
+    return getTransport().describe();
+}
+
+// Whether the transport can publish at all. Even if it can, the broker may
+// refuse an account.
+export function canPublish() {
+    return getTransport().canPublish;
+}
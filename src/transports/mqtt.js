@@ -0,0 +1,20 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import mqtt from "mqtt";
+
+import { mqttOptions } from "../../flyer.config.js";
+
+// Connect to the MQTT broker. An mqtt.js client is already everything a
+// transport has to be.
+export function connectMqtt(options) {
+    return mqtt.connect(mqttOptions.brokerUrl, options);
+}
+
+export function describeMqtt() {
+    return "broker " + mqttOptions.brokerUrl;
+}
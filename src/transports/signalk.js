@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { signalkOptions } from "../../flyer.config.js";
+import { getDeltaTopics, setSelfContext } from "../utilities.js";
+
+// The topic SignalK deltas come in on, the same as from the MQTT gateway
+const deltaTopic = "signalk/delta";
+
+/**
+ * A client for the WebSocket stream of a SignalK server. It offers the same
+ * methods and events as an mqtt.js client, so the app can use either. Only
+ * the SignalK delta topics carry anything. Subscribing to one of them
+ * subscribes to the paths in signalkOptions.paths. Nothing can be published.
+ * The server's own vessel, from the "self" of its hello, is kept in "self".
+ */
+class SignalKClient {
+    constructor() {
+        this.connected = false;
+        // The context of the server's own vessel, once its hello has said
+        this.self = null;
+        // Handlers for each event, keyed by event name
+        this.handlers = {};
+        // Whether to ask the server for deltas
+        this.wantDeltas = false;
+        // True once end() has been called
+        this.ended = false;
+        this.socket = null;
+        this.timer = null;
+        this.open();
+    }
+
+    on(event, handler) {
+        (this.handlers[event] ||= []).push(handler);
+        return this;
+    }
+
+    emit(event, ...args) {
+        for (const handler of this.handlers[event] || []) handler(...args);
+    }
+
+    open() {
+        // Ask for nothing until subscribed, rather than the server's default
+        const socket = new WebSocket(signalkOptions.url + "?subscribe=none");
+        this.socket = socket;
+        socket.onopen = () => {
+            this.connected = true;
+            if (this.wantDeltas) this.sendSubscription();
+            this.emit("connect");
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.error("Bad message from SignalK server:", err);
+                return;
+            }
+            // The server's "hello" says which vessel is its own. Anything else
+            // that is not a delta is skipped.
+            if (message.self) {
+                this.self = message.self;
+                setSelfContext(message.self);
+            }
+            if (message.updates) this.emit("message", deltaTopic, event.data);
+        };
+        socket.onerror = () => {
+            this.emit("error", new Error("WebSocket error from " + signalkOptions.url));
+        };
+        socket.onclose = () => {
+            this.connected = false;
+        // The context of the server's own vessel, once its hello has said
+        this.self = null;
+            this.emit("close");
+            if (this.ended) return;
+            this.emit("offline");
+            if (signalkOptions.reconnectPeriod > 0) {
+                this.timer = setTimeout(() => {
+                    this.emit("reconnect");
+                    this.open();
+                }, signalkOptions.reconnectPeriod);
+            }
+        };
+    }
+
+    sendSubscription() {
+        this.socket.send(JSON.stringify({
+            context: signalkOptions.context,
+            // Ask for the metadata as well, for the units and names of paths
+            // the app does not know
+            subscribe: signalkOptions.paths.map((path) => ({
+                path,
+                period: signalkOptions.period,
+                sendMeta: "all",
+            })),
+        }));
+    }
+
+    subscribe(topics) {
+        const deltaTopics = [deltaTopic, ...getDeltaTopics()];
+        if (this.wantDeltas || ![].concat(topics).some((t) => deltaTopics.includes(t))) return;
+        this.wantDeltas = true;
+        if (this.connected) this.sendSubscription();
+    }
+
+    publishAsync() {
+        return Promise.reject(new Error("a SignalK server cannot be published to"));
+    }
+
+    end(force, callback) {
+        if (typeof force === "function") callback = force;
+        this.ended = true;
+        clearTimeout(this.timer);
+        this.socket.close();
+        if (callback) callback();
+    }
+}
+
+// Connect to the SignalK server. There is no login, so the credentials are
+// not used.
+export function connectSignalK() {
+    return new SignalKClient();
+}
+
+export function describeSignalK() {
+    return "SignalK server " + signalkOptions.url;
+}
@@ -6,6 +6,7 @@
  */
 
 import dayjs from "dayjs";
+import { unitOptions } from "../flyer.config.js";
 
 // These are the units used by the incoming SignalK paths:
 export const signalKUnits = {
@@ -15,17 +16,29 @@ export const signalKUnits = {
     "environment.outside.pressure": "pascal",
     "environment.outside.temperature": "degree_K",
     "environment.water.temperature": "degree_K",
+    "environment.current.setTrue": "radian",
+    "environment.current.drift": "meter_per_second",
     "environment.wind.angleApparent": "radian",
+    "environment.wind.angleTrueWater": "radian",
     "environment.wind.directionTrue": "radian",
     "environment.wind.speedApparent": "meter_per_second",
     "environment.wind.speedOverGround": "meter_per_second",
     "environment.wind.speedTrue": "meter_per_second",
+    "navigation.courseGreatCircle.crossTrackError": "meter",
+    "navigation.courseGreatCircle.nextPoint.bearingTrue": "radian",
+    "navigation.courseGreatCircle.nextPoint.distance": "meter",
+    "navigation.courseGreatCircle.nextPoint.estimatedTimeOfArrival": "unix_epoch",
+    "navigation.courseGreatCircle.nextPoint.velocityMadeGood": "meter_per_second",
     "navigation.courseOverGroundTrue": "radian",
     "navigation.headingTrue": "radian",
+    "navigation.leewayAngle": "radian",
     "navigation.log": "meter",
     "navigation.position": "dd.dd",
     "navigation.speedOverGround": "meter_per_second",
     "navigation.speedThroughWater": "meter_per_second",
+    "performance.polarSpeed": "meter_per_second",
+    "performance.polarSpeedRatio": "ratio",
+    "performance.velocityMadeGood": "meter_per_second",
     "steering.rudderAngle" : "radian",
     last_update: "unix_epoch",
 };
@@ -38,36 +51,54 @@ const unitGroup = {
     "environment.outside.pressure": "group_pressure",
     "environment.outside.temperature": "group_temperature",
     "environment.water.temperature": "group_temperature",
+    "environment.current.setTrue": "group_direction",
+    "environment.current.drift": "group_speed",
     "environment.wind.angleApparent": "group_direction",
+    "environment.wind.angleTrueWater": "group_direction",
     "environment.wind.directionTrue": "group_direction",
     "environment.wind.speedApparent": "group_speed",
     "environment.wind.speedOverGround": "group_speed",
     "environment.wind.speedTrue": "group_speed",
+    "navigation.courseGreatCircle.crossTrackError": "group_distance",
+    "navigation.courseGreatCircle.nextPoint.bearingTrue": "group_direction",
+    "navigation.courseGreatCircle.nextPoint.distance": "group_distance",
+    "navigation.courseGreatCircle.nextPoint.estimatedTimeOfArrival": "group_time",
+    "navigation.courseGreatCircle.nextPoint.velocityMadeGood": "group_speed",
     "navigation.courseOverGroundTrue": "group_direction",
     "navigation.headingTrue": "group_direction",
+    "navigation.leewayAngle": "group_angle",
     "navigation.log": "group_distance",
     "navigation.position.latitude": "group_latitude",
     "navigation.position.longitude": "group_longitude",
     "navigation.speedOverGround": "group_speed",
     "navigation.speedThroughWater": "group_speed",
+    "performance.polarSpeed": "group_speed",
+    "performance.polarSpeedRatio": "group_ratio",
+    "performance.velocityMadeGood": "group_speed",
     "steering.rudderAngle": "group_angle",
     last_update: "group_time",
 };
 
 // Which label to use for a given unit
-const unitLabels = {
+export const unitLabels = {
     degree_angle: "º",
     degree_C: "°C",
     degree_F: "°F",
     degree_K: "ºK",
     degree_true: "º",
+    foot: " ft",
+    inch_hg: " inHg",
     kilometer: " km",
+    km_per_hour: " km/h",
     knot: " kn",
     meter: " m",
     meter_per_second: " m/s",
+    mile_per_hour: " mph",
     millibar: " mbar",
     nautical_mile: " nm",
     pascal: " Pa",
+    percent: "%",
+    statute_mile: " mi",
 };
 
 // Which label to use for a given SignalK path
@@ -78,45 +109,277 @@ export const pathLabels = {
     "environment.outside.pressure": "Pressure",
     "environment.outside.temperature": "Outside temperature",
     "environment.water.temperature": "Water temperature",
+    "environment.current.setTrue": "Current set",
+    "environment.current.drift": "Current drift",
     "environment.wind.angleApparent": "Wind angle (apparent)",
+    "environment.wind.angleTrueWater": "Wind angle (true)",
     "environment.wind.directionTrue": "Wind direction (true)",
     "environment.wind.speedApparent": "Wind speed (apparent)",
     "environment.wind.speedOverGround": "Wind speed (true)",
     "environment.wind.speedTrue": "Wind speed (true)",
+    "navigation.courseGreatCircle.crossTrackError": "Cross-track error (XTE)",
+    "navigation.courseGreatCircle.nextPoint.bearingTrue": "Bearing to waypoint (BTW)",
+    "navigation.courseGreatCircle.nextPoint.distance": "Distance to waypoint (DTW)",
+    "navigation.courseGreatCircle.nextPoint.estimatedTimeOfArrival": "ETA at waypoint",
+    "navigation.courseGreatCircle.nextPoint.velocityMadeGood": "VMG to waypoint",
     "navigation.courseOverGroundTrue": "Course over ground",
     "navigation.headingTrue": "Heading",
+    "navigation.leewayAngle": "Leeway",
     "navigation.log": "Log",
     "navigation.position.latitude": "Latitude",
     "navigation.position.longitude": "Longitude",
     "navigation.speedOverGround": "Speed over ground",
     "navigation.speedThroughWater": "Speed through water",
+    "performance.polarSpeed": "Polar speed",
+    "performance.polarSpeedRatio": "% of polar",
+    "performance.velocityMadeGood": "VMG to wind",
     "steering.rudderAngle": "Rudder angle",
     last_update: "Last update",
 };
 
-// What unit to display for each unit group
-const unitSelection = {
-    group_angle: "degree_angle",
-    group_depth: "meter",
-    group_direction: "degree_true",
-    group_distance: "nautical_mile",
-    group_latitude: "dd mm.mm",
-    group_longitude: "dd mm.mm",
-    group_pressure: "millibar",
-    group_speed: "knot",
-    group_temperature: "degree_C",
-    group_time: "unix_epoch",
+// What the units in SignalK metadata mean here: the unit, and the unit
+// group it is displayed in. Units not listed are shown as they are.
+const metaUnits = {
+    "K": { unit: "degree_K", group: "group_temperature" },
+    "m": { unit: "meter", group: "group_depth" },
+    "m/s": { unit: "meter_per_second", group: "group_speed" },
+    "Pa": { unit: "pascal", group: "group_pressure" },
+    "rad": { unit: "radian", group: "group_angle" },
+};
+
+/*
+    SignalK metadata, keyed by path. It comes in the "meta" of a delta, and
+    looks like:
+    {
+        "units": "V",
+        "displayName": "House battery"
+    }
+    It is used for paths not listed in the tables above.
+ */
+const pathMeta = {};
+
+/**
+ * Keep the SignalK metadata of a path.
+ * @param {string} path - The SignalK path
+ * @param {{units?: string, displayName?: string}} meta
+ */
+export function setPathMeta(path, meta) {
+    pathMeta[path] = { ...pathMeta[path], ...meta };
+}
+
+/**
+ * The unit a SignalK path comes in, from the table above, or else from its
+ * metadata.
+ * @param {string} path - The SignalK path
+ * @returns {string|undefined} The unit, or undefined if not known
+ */
+export function getSignalKUnit(path) {
+    if (signalKUnits[path]) return signalKUnits[path];
+    if (path.startsWith("navigation.position")) return signalKUnits["navigation.position"];
+    const units = pathMeta[path]?.units;
+    return metaUnits[units]?.unit || units;
+}
+
+// The unit group a path is displayed in, or undefined if it has none
+function getUnitGroup(path) {
+    return unitGroup[path] || metaUnits[pathMeta[path]?.units]?.group;
+}
+
+// Make a label out of a path, such as "Batteries house voltage" out of
+// "electrical.batteries.house.voltage"
+function labelFromPath(path) {
+    const words = path.split(".").slice(1).join(" ")
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .toLowerCase();
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : path;
+}
+
+/**
+ * The label of a SignalK path, from the table above, or else from its
+ * metadata, or else made out of the path itself.
+ * @param {string} path - The SignalK path
+ * @returns {string}
+ */
+export function getPathLabel(path) {
+    return pathLabels[path] || pathMeta[path]?.displayName || labelFromPath(path);
+}
+
+// Presets for what unit to display for each unit group
+export const unitPresets = {
+    metric: {
+        group_angle: "degree_angle",
+        group_depth: "meter",
+        group_direction: "degree_true",
+        group_distance: "kilometer",
+        group_latitude: "dd.dd",
+        group_longitude: "dd.dd",
+        group_pressure: "millibar",
+        group_ratio: "percent",
+        group_speed: "km_per_hour",
+        group_temperature: "degree_C",
+        group_time: "unix_epoch",
+    },
+    imperial: {
+        group_angle: "degree_angle",
+        group_depth: "foot",
+        group_direction: "degree_true",
+        group_distance: "statute_mile",
+        group_latitude: "dd mm ss",
+        group_longitude: "dd mm ss",
+        group_pressure: "inch_hg",
+        group_ratio: "percent",
+        group_speed: "mile_per_hour",
+        group_temperature: "degree_F",
+        group_time: "unix_epoch",
+    },
+    nautical: {
+        group_angle: "degree_angle",
+        group_depth: "meter",
+        group_direction: "degree_true",
+        group_distance: "nautical_mile",
+        group_latitude: "dd mm.mm",
+        group_longitude: "dd mm.mm",
+        group_pressure: "millibar",
+        group_ratio: "percent",
+        group_speed: "knot",
+        group_temperature: "degree_C",
+        group_time: "unix_epoch",
+    },
+};
+
+// The units a user can choose from for each unit group. Groups not listed
+// here cannot be changed.
+export const unitChoices = {
+    group_depth: ["meter", "foot"],
+    group_distance: ["nautical_mile", "kilometer", "statute_mile"],
+    group_latitude: ["dd.dd", "dd mm.mm", "dd mm ss"],
+    group_longitude: ["dd.dd", "dd mm.mm", "dd mm ss"],
+    group_pressure: ["millibar", "inch_hg", "pascal"],
+    group_speed: ["knot", "meter_per_second", "km_per_hour", "mile_per_hour"],
+    group_temperature: ["degree_C", "degree_F"],
+};
+
+// Which name to use for a unit in the settings
+export const unitNames = {
+    degree_angle: "degrees",
+    degree_C: "°C",
+    degree_F: "°F",
+    degree_K: "kelvin",
+    degree_true: "degrees true",
+    foot: "feet",
+    inch_hg: "inches of mercury",
+    kilometer: "kilometers",
+    km_per_hour: "km/hour",
+    knot: "knots",
+    meter: "meters",
+    meter_per_second: "meters/second",
+    mile_per_hour: "miles/hour",
+    millibar: "millibars",
+    nautical_mile: "nautical miles",
+    pascal: "pascals",
+    percent: "percent",
+    radian: "radians",
+    statute_mile: "statute miles",
+    "dd.dd": "dd.dddd°",
+    "dd mm.mm": "dd° mm.m'",
+    "dd mm ss": "dd° mm' ss\"",
+};
+
+// Which label to use for a unit group in the settings
+export const unitGroupLabels = {
+    group_depth: "Depth",
+    group_distance: "Distance",
+    group_latitude: "Latitude",
+    group_longitude: "Longitude",
+    group_pressure: "Pressure",
+    group_speed: "Speed",
+    group_temperature: "Temperature",
 };
 
+/*
+    The unit settings chosen by the user look like:
+    {
+        "preset": "nautical",
+        "overrides": {"group_depth": "foot"}
+    }
+ */
+let unitSettings = loadUnitSettings();
+
+// What unit to display for each unit group
+let unitSelection = getSelection(unitSettings);
+
+// Combine a preset and its overrides
+function getSelection(settings) {
+    return {
+        ...unitPresets[settings.preset],
+        ...settings.overrides,
+    };
+}
+
+// Retrieve the unit settings from browser storage
+function loadUnitSettings() {
+    try {
+        const saved = localStorage.getItem(unitOptions.storageKey);
+        if (saved) {
+            const settings = JSON.parse(saved);
+            if (unitPresets[settings.preset]) return settings;
+        }
+    } catch (err) {
+        console.error("Unable to load unit settings:", err);
+    }
+    return { preset: unitOptions.defaultPreset, overrides: {} };
+}
+
+// Return the unit settings now in effect
+export function getUnitSettings() {
+    return unitSettings;
+}
+
+/**
+ * Change the unit settings, and save them in browser storage. Anything
+ * already formatted must be formatted again to pick up the change.
+ * @param {{preset: string, overrides: object}} settings - The new settings
+ */
+export function setUnitSettings(settings) {
+    unitSettings = settings;
+    unitSelection = getSelection(settings);
+    try {
+        localStorage.setItem(unitOptions.storageKey, JSON.stringify(settings));
+    } catch (err) {
+        console.error("Unable to save unit settings:", err);
+    }
+}
+
+/**
+ * Change the preset shown until the user picks units of their own. It is not
+ * saved. Anything already formatted must be formatted again to pick up the
+ * change.
+ * @param {string} preset - One of the keys of unitPresets
+ * @returns {boolean} True if the unit settings changed
+ */
+export function setDefaultPreset(preset) {
+    if (!unitPresets[preset] || preset === unitSettings.preset) return false;
+    try {
+        if (localStorage.getItem(unitOptions.storageKey)) return false;
+    } catch (err) {
+        console.error("Unable to load unit settings:", err);
+    }
+    unitSettings = { preset, overrides: {} };
+    unitSelection = getSelection(unitSettings);
+    return true;
+}
+
 // Convert between units
 export const conversionDict = {
     degree_K: {
         degree_C: (x) => x - 273.15,
+        degree_F: (x) => (x - 273.15) * 1.8 + 32.0,
     },
     meter: {
         foot: (x) => 3.280839895 * x,
         nautical_mile: (x) => 0.000539957 * x,
         kilometer: (x) => x / 1000.0,
+        statute_mile: (x) => x / 1609.344,
     },
     meter_per_second: {
         knot: (x) => 1.94384449 * x,
@@ -129,31 +392,94 @@ export const conversionDict = {
     },
     pascal: {
         millibar: (x) => x / 100.0,
+        inch_hg: (x) => x / 3386.389,
+    },
+    ratio: {
+        percent: (x) => 100 * x,
     },
 };
 
 // Take an update from the broker, and format it for presentation.
 export function formatUpdate(update) {
-    let labeledVal;
+    // Put it all together:
+    return {
+        key: update.key,
+        label: getPathLabel(update.key),
+        // True if the app worked the value out, rather than the boat
+        calculated: update.calculated || false,
+        value: formatPathValue(update.key, update.value, update.unit),
+        last_update: formatValue(update.last_update, "group_time", "unix_epoch"),
+        // Keep the raw time as well, so staleness can be checked
+        timestamp: update.last_update.valueOf(),
+    };
+}
+
+/**
+ * Convert a value from one unit to another.
+ * @param {number} value - The value to be converted
+ * @param {string} unit - The unit it is in
+ * @param {string} to_unit - The unit it is wanted in
+ * @returns {number}
+ */
+export function convertValue(value, unit, to_unit) {
+    return unit === to_unit ? value : conversionDict[unit][to_unit](value);
+}
+
+/**
+ * Whether a value can be converted from one unit to another.
+ * @param {string} unit - The unit it is in
+ * @param {string} to_unit - The unit it is wanted in
+ * @returns {boolean}
+ */
+export function canConvert(unit, to_unit) {
+    return unit === to_unit || conversionDict[unit]?.[to_unit] != null;
+}
 
+/**
+ * Format a value that has no unit group, or cannot be converted: a number as
+ * it is, with at most three decimals, and anything else as text.
+ * @param {*} value - The value to be formatted
+ * @param {string} [unit] - The unit the value is in, if known
+ * @returns {string}
+ */
+function formatGeneric(value, unit) {
+    if (typeof value === "number") {
+        const label = unitLabels[unit] ?? (unit ? " " + unit : "");
+        return Number(value.toFixed(3)) + label;
+    }
+    if (value != null && typeof value === "object") return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * The unit a SignalK path is displayed in, according to the unit settings.
+ * @param {string} key - The SignalK path
+ * @returns {string|undefined}
+ */
+export function getDisplayUnit(key) {
+    return unitSelection[getUnitGroup(key)];
+}
+
+/**
+ * Format a value of a SignalK path, such as one taken from its history.
+ * @param {string} key - The SignalK path
+ * @param {number} value - The value to be formatted
+ * @param {string} unit - The unit the value is in.
+ * @returns {string}
+ */
+export function formatPathValue(key, value, unit) {
     // The unit group a key belongs to. This will be something
     // like 'group_temperature'
-    const unit_group = unitGroup[update.key];
+    const unit_group = getUnitGroup(key);
+
+    // Only numbers can be converted
+    if (typeof value !== "number") return formatGeneric(value, unit);
 
     // Special case for formatting latitude and longitude:
     if (unit_group === "group_latitude" || unit_group === "group_longitude") {
-        labeledVal = formatLatLon(update.value, unit_group, update.unit);
-    } else {
-        labeledVal = formatValue(update.value, unit_group, update.unit);
+        return formatLatLon(value, unit_group, unit);
     }
-
-    // Now put it all together:
-    return {
-        key: update.key,
-        label: pathLabels[update.key],
-        value: labeledVal,
-        last_update: formatValue(update.last_update, "group_time", "unix_epoch"),
-    };
+    return formatValue(value, unit_group, unit);
 }
 
 /**
@@ -169,9 +495,13 @@ export function formatValue(value, unit_group, unit) {
     // like 'degree_C'
     const selected_unit = unitSelection[unit_group];
 
+    // Anything that cannot be converted is shown as it is
+    if (!selected_unit || !canConvert(unit, selected_unit)) {
+        return formatGeneric(value, unit);
+    }
+
     // Convert if necessary
-    const convertedValue =
-        unit === selected_unit ? value : conversionDict[unit][selected_unit](value);
+    const convertedValue = convertValue(value, unit, selected_unit);
     switch (selected_unit) {
         case "degree_C":
         case "degree_F":
@@ -181,7 +511,11 @@ export function formatValue(value, unit_group, unit) {
         case "millibar":
             fval = convertedValue.toFixed(1);
             break;
+        case "inch_hg":
+            fval = convertedValue.toFixed(2);
+            break;
         case "pascal":
+        case "percent":
             fval = convertedValue.toFixed(0);
             break;
         case "degree_angle":
@@ -192,13 +526,17 @@ export function formatValue(value, unit_group, unit) {
             break;
         case "meter_per_second":
         case "knot":
+        case "km_per_hour":
+        case "mile_per_hour":
             fval = convertedValue.toFixed(1);
             break;
         case "meter":
+        case "foot":
             fval = convertedValue.toFixed(1);
             break;
         case "nautical_mile":
         case "kilometer":
+        case "statute_mile":
             fval = convertedValue.toFixed(1);
             break;
         case "unix_epoch":
@@ -213,8 +551,13 @@ export function formatValue(value, unit_group, unit) {
     return fval + unit_label;
 }
 
-// Format a latitude or longitude
-function formatLatLon(value, unit_group, unit) {
+/**
+ * Format a latitude or longitude
+ * @param {number} value - The latitude or longitude in decimal degrees
+ * @param {string} unit_group - Either "group_latitude" or "group_longitude"
+ * @param {string} unit - The unit the value is in. Must be "dd.dd".
+ */
+export function formatLatLon(value, unit_group, unit) {
     let fval, hemisphere;
     console.assert(unit === "dd.dd", "Expected decimal degrees.");
 
@@ -229,6 +572,13 @@ function formatLatLon(value, unit_group, unit) {
         const degrees = Math.floor(Math.abs(value));
         const minutes = (Math.abs(value) - degrees) * 60.0;
         fval = degrees.toFixed(0) + "° " + minutes.toFixed(1) + "'";
+    } else if (selected_unit === "dd mm ss") {
+        // Work in whole seconds, so rounding cannot produce 60 seconds
+        const totalSeconds = Math.round(Math.abs(value) * 3600.0);
+        const degrees = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        fval = degrees + "° " + minutes + "' " + seconds + '"';
     }
     if (unit_group === "group_latitude") hemisphere = value >= 0 ? "N" : "S";
     else hemisphere = value >= 0 ? "E" : "W";
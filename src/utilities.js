@@ -6,7 +6,9 @@
  */
 
 import dayjs from "dayjs";
-import { formatUpdate, signalKUnits } from "./units";
+import { formatUpdate, getSignalKUnit, setPathMeta } from "./units";
+import { HistoryState } from "./history.js";
+import { aisOptions, mqttOptions, staleOptions, vesselOptions } from "../flyer.config.js";
 
 /*
     A SignalK object looks like:
@@ -31,7 +33,7 @@ import { formatUpdate, signalKUnits } from "./units";
     }
  */
 
-class Update {
+export class Update {
     /**
      * @constructor
      * @param {string} key - An appropriate, unique key. This is usually
@@ -39,20 +41,93 @@ class Update {
      * @param {float} value - The updated value
      * @param {float} unit - The unit the value is in
      * @param {dayjs.Dayjs} last_update - The time the value was last updated.
+     * @param {boolean} [calculated] - True if the value was worked out by the
+     * app, rather than sent by the boat
      */
-    constructor(key, value, unit, last_update) {
+    constructor(key, value, unit, last_update, calculated = false) {
         this.key = key;
         this.value = value;
         this.unit = unit;
         this.last_update = last_update;
+        this.calculated = calculated;
     }
 }
 
-// Extract data out of the parsed JSON SignalK object.
+// Extract the SignalK context out of the parsed JSON SignalK object. A delta
+// without a context refers to the vessel running the SignalK server.
+export function getContext(signalk_obj) {
+    return signalk_obj.context || "vessels.self";
+}
+
+// Extract the vessel ID (usually the MMSI number) out of a SignalK context
+// such as "vessels.urn:mrn:imo:mmsi:367199590".
+export function getVesselId(context) {
+    const name = context.replace(/^vessels\./, "");
+    return name.substring(name.lastIndexOf(":") + 1);
+}
+
+// Return the vessel IDs set by mqttOptions.vesselId, as an array.
+function getVesselIds() {
+    return [].concat(mqttOptions.vesselId);
+}
+
+// The context a SignalK server gave for its own vessel, or null if none has
+let selfContext = null;
+
+/**
+ * Remember the context a SignalK server gave for its own vessel, in the
+ * "self" of its hello.
+ * @param {string|null} context - A SignalK context
+ */
+export function setSelfContext(context) {
+    selfContext = context;
+}
+
+/**
+ * Check whether a SignalK context is one of our own vessels, rather than an
+ * AIS target. Our own are the vessel running the SignalK server ("self", or
+ * the context its hello gave), the IDs named in mqttOptions.vesselId, and
+ * those in aisOptions.fleet. The '+' wildcard names no vessel.
+ * @param {string} context - A SignalK context
+ * @returns {boolean}
+ */
+export function isFleetContext(context) {
+    const id = getVesselId(context);
+    return context === selfContext || id === "self" || getVesselIds().includes(id) ||
+        aisOptions.fleet.includes(id);
+}
+
+// The MQTT topics to subscribe to for SignalK deltas. Single-vessel gateways
+// publish to "signalk/delta". When several vessels share a broker, each may
+// also publish to its own topic, "signalk/<vesselId>/delta".
+export function getDeltaTopics() {
+    return ["signalk/delta", ...getVesselIds().map((id) => `signalk/${id}/delta`)];
+}
+
+/**
+ * Get the display name and icon of a vessel.
+ * @param {string} context - The SignalK context of the vessel
+ * @returns {{id: string, name: string, icon: string}}
+ */
+export function getVesselInfo(context) {
+    const id = getVesselId(context);
+    const info = vesselOptions.vessels[id] || {};
+    return {
+        id,
+        name: info.name || id,
+        icon: info.icon || vesselOptions.defaultIcon,
+    };
+}
+
+// Extract data out of the parsed JSON SignalK object. Any metadata in it is
+// kept first, so the values can use it.
 export function getUpdateDicts(signalk_obj) {
     let updates = [];
     for (let update of signalk_obj.updates) {
-        for (let value of update.values) {
+        for (let meta of update.meta || []) {
+            setPathMeta(meta.path, meta.value);
+        }
+        for (let value of update.values || []) {
             // Special treatment for position: flatten it
             // into latitude and longitude:
             if (value.path === "navigation.position") {
@@ -60,7 +135,7 @@ export function getUpdateDicts(signalk_obj) {
                     new Update(
                         "navigation.position.latitude",
                         value.value.latitude,
-                        signalKUnits[value.path],
+                        getSignalKUnit(value.path),
                         dayjs(update.timestamp),
                     ),
                 );
@@ -68,7 +143,7 @@ export function getUpdateDicts(signalk_obj) {
                     new Update(
                         "navigation.position.longitude",
                         value.value.longitude,
-                        signalKUnits[value.path],
+                        getSignalKUnit(value.path),
                         dayjs(update.timestamp),
                     ),
                 )
@@ -78,7 +153,7 @@ export function getUpdateDicts(signalk_obj) {
                     new Update(
                         value.path,
                         value.value,
-                        signalKUnits[value.path],
+                        getSignalKUnit(value.path),
                         dayjs(update.timestamp),
                     ),
                 );
@@ -100,6 +175,56 @@ export function getLatLng(vesselState) {
     return boatPosition;
 }
 
+// Extract the vessel position and its time out of a list of updates. Returns
+// null if the updates do not include a position.
+export function getUpdatePosition(updates) {
+    const lat = updates.find((u) => u.key === "navigation.position.latitude");
+    const lng = updates.find((u) => u.key === "navigation.position.longitude");
+    if (lat == null || lng == null) return null;
+    return {
+        lat: lat.value,
+        lng: lng.value,
+        time: lat.last_update.valueOf(),
+    };
+}
+
+/**
+ * Check whether a value is too old to be trusted.
+ * @param {string} key - The SignalK path of the value
+ * @param {number} timestamp - When the value was last updated, in
+ *   milliseconds since the unix epoch.
+ * @param {number} now - The current time in milliseconds since the unix epoch.
+ * @returns {boolean}
+ */
+export function isStale(key, timestamp, now) {
+    if (timestamp == null) return false;
+    const maxAge = staleOptions.maxAge[key] ?? staleOptions.maxAge.default;
+    return now - timestamp > maxAge * 1000;
+}
+
+// The paths that describe how a vessel is moving, and the names they go by
+// in a track point.
+const motionPaths = {
+    "navigation.speedOverGround": "sog",
+    "navigation.courseOverGroundTrue": "cog",
+    "navigation.headingTrue": "heading",
+};
+
+/**
+ * Pick out how a vessel is moving from a list of updates, and merge it
+ * into what was known before.
+ * @param {object} oldMotion - What was known before. It is not changed.
+ * @param {Array<Update>} updates
+ * @returns {{sog: number, cog: number, heading: number}}
+ */
+export function mergeMotion(oldMotion, updates) {
+    let motion = { ...oldMotion };
+    for (let update of updates) {
+        if (update.key in motionPaths) motion[motionPaths[update.key]] = update.value;
+    }
+    return motion;
+}
+
 // This will accumulate the updates.
 export class VesselState {
     constructor(oldState) {
@@ -128,6 +253,40 @@ export class FormattedState {
     }
 }
 
+// This will accumulate the unformatted and formatted states of every vessel,
+// as well as the history of its values, keyed by the vessel's SignalK context.
+export class FleetState {
+    constructor(oldState) {
+        Object.assign(this, oldState);
+    }
+
+    mergeUpdates(context, updates) {
+        const vessel = this[context] || {};
+        this[context] = {
+            vesselState: new VesselState(vessel.vesselState).mergeUpdates(updates),
+            formattedState: new FormattedState(vessel.formattedState)
+                .mergeUpdates(updates),
+            history: new HistoryState(vessel.history).mergeUpdates(updates),
+        };
+        return this;
+    }
+
+    // Format every vessel's values over again. Use this after the unit
+    // settings have changed.
+    reformat() {
+        for (const context of Object.keys(this)) {
+            const { vesselState, history } = this[context];
+            this[context] = {
+                vesselState,
+                formattedState: new FormattedState()
+                    .mergeUpdates(Object.values(vesselState)),
+                history,
+            };
+        }
+        return this;
+    }
+}
+
 /**
  * Extract attributes from an object in a given ordering
  * @param {Array[String]} ordering - The ordering of the final results
@@ -180,15 +339,106 @@ export function latLngAtBearing(latLng, distance, bearing_radians) {
     };
 }
 
-export function getPixelDistance(scale, projection, latLng1, latLng2) {
-    // Convert the LatLng positions to pixel positions
-    const point1 = projection.fromLatLngToPoint(latLng1);
-    const point2 = projection.fromLatLngToPoint(latLng2);
+/**
+ * Have the browser download some text as a file.
+ * @param {string} filename - Name of the file
+ * @param {string} text - Contents of the file
+ * @param {string} type - MIME type of the contents
+ */
+export function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers start the download only after the click returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Calculate the great-circle distance between two points, using the
+ * haversine formula.
+ * @param latLng1 {{lng: number, lat: number}}
+ * @param latLng2 {{lng: number, lat: number}}
+ * @returns {number} Distance in meters
+ */
+export function getDistance(latLng1, latLng2) {
+    const R = 6371e3; // Earth's radius in meters
+    const lat1_radians = (latLng1.lat * Math.PI) / 180;
+    const lat2_radians = (latLng2.lat * Math.PI) / 180;
+    const delta_lat = lat2_radians - lat1_radians;
+    const delta_lng = ((latLng2.lng - latLng1.lng) * Math.PI) / 180;
+
+    const a =
+        Math.sin(delta_lat / 2) * Math.sin(delta_lat / 2) +
+        Math.cos(lat1_radians) *
+        Math.cos(lat2_radians) *
+        Math.sin(delta_lng / 2) *
+        Math.sin(delta_lng / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Calculate the initial bearing of the great circle from one point to
+ * another.
+ * @param latLng1 {{lng: number, lat: number}} - Where to start
+ * @param latLng2 {{lng: number, lat: number}} - Where to go
+ * @returns {number} Bearing in radians (0=north), between 0 and 2π
+ */
+export function getBearing(latLng1, latLng2) {
+    const lat1_radians = (latLng1.lat * Math.PI) / 180;
+    const lat2_radians = (latLng2.lat * Math.PI) / 180;
+    const delta_lng = ((latLng2.lng - latLng1.lng) * Math.PI) / 180;
 
-    // Scale them to actual pixel positions at the current zoom level
-    const pixel1 = { x: point1.x * scale, y: point1.y * scale };
-    const pixel2 = { x: point2.x * scale, y: point2.y * scale };
+    const bearing = Math.atan2(
+        Math.sin(delta_lng) * Math.cos(lat2_radians),
+        Math.cos(lat1_radians) * Math.sin(lat2_radians) -
+        Math.sin(lat1_radians) * Math.cos(lat2_radians) * Math.cos(delta_lng),
+    );
+    return (bearing + 2 * Math.PI) % (2 * Math.PI);
+}
 
-    // Calculate the Euclidean distance in pixels and return
-    return Math.sqrt(Math.pow(pixel2.x - pixel1.x, 2) + Math.pow(pixel2.y - pixel1.y, 2));
+/**
+ * Calculate the distance along the rhumb line (line of constant bearing)
+ * between two points.
+ * @param latLng1 {{lng: number, lat: number}}
+ * @param latLng2 {{lng: number, lat: number}}
+ * @returns {number} Distance in meters
+ */
+export function getRhumbDistance(latLng1, latLng2) {
+    const R = 6371e3; // Earth's radius in meters
+    const { delta_lat, delta_psi, delta_lng } = getRhumbDeltas(latLng1, latLng2);
+    const lat1_radians = (latLng1.lat * Math.PI) / 180;
+    // On an east-west line, the stretched latitude difference is zero, so
+    // use the cosine of the latitude instead.
+    const q = Math.abs(delta_psi) > 1e-12 ? delta_lat / delta_psi : Math.cos(lat1_radians);
+    return R * Math.sqrt(delta_lat * delta_lat + q * q * delta_lng * delta_lng);
+}
+
+/**
+ * Calculate the bearing of the rhumb line (line of constant bearing) from
+ * one point to another.
+ * @param latLng1 {{lng: number, lat: number}} - Where to start
+ * @param latLng2 {{lng: number, lat: number}} - Where to go
+ * @returns {number} Bearing in radians (0=north), between 0 and 2π
+ */
+export function getRhumbBearing(latLng1, latLng2) {
+    const { delta_psi, delta_lng } = getRhumbDeltas(latLng1, latLng2);
+    const bearing = Math.atan2(delta_lng, delta_psi);
+    return (bearing + 2 * Math.PI) % (2 * Math.PI);
+}
+
+// The differences in latitude, Mercator-stretched latitude, and longitude
+// between two points, in radians. The longitude difference takes the
+// shorter way around.
+function getRhumbDeltas(latLng1, latLng2) {
+    const lat1_radians = (latLng1.lat * Math.PI) / 180;
+    const lat2_radians = (latLng2.lat * Math.PI) / 180;
+    let delta_lng = ((latLng2.lng - latLng1.lng) * Math.PI) / 180;
+    if (Math.abs(delta_lng) > Math.PI) {
+        delta_lng = delta_lng > 0 ? delta_lng - 2 * Math.PI : delta_lng + 2 * Math.PI;
+    }
+    const delta_psi = Math.log(Math.tan(Math.PI / 4 + lat2_radians / 2) /
+        Math.tan(Math.PI / 4 + lat1_radians / 2));
+    return { delta_lat: lat2_radians - lat1_radians, delta_psi, delta_lng };
 }
@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { windOptions } from "../flyer.config.js";
+import { getRecentPoints } from "./history.js";
+
+/*
+    A summary of the true wind over a time window looks like:
+    {
+        "samples": [{"time": 1723416761018, "direction": 5.41, "speed": 7.9}],
+        "mean": 5.38,
+        "steadiness": 0.93,
+        "speed": 8.1,
+        "gust": 10.4,
+        "lull": 6.2,
+        "shift": 0.21,
+        "sectors": [{"count": 12, "speed": 7.7}]
+    }
+    Directions are where the wind comes from, in radians, and speeds are in
+    meters per second. "samples" pairs each direction with the speed at the
+    time, oldest first. "mean" is the circular mean of the directions: the
+    direction of the sum of their unit vectors, so that 350° and 10° average
+    to 0°, not 180°. "steadiness" is the length of that sum divided by the
+    number of samples: 1 if the wind never changed direction, near 0 if it
+    came from all around. "shift" is how far the mean of the last
+    windOptions.shiftWindow seconds has swung from the mean of the time
+    before it. Positive is veering (clockwise), negative backing. "sectors"
+    counts the samples from each of windOptions.sectors equal sectors,
+    starting with the one centered on north, and their mean speed.
+ */
+
+/**
+ * Return the circular mean of a list of angles.
+ * @param {Array<number>} angles - In radians
+ * @returns {{mean: number, steadiness: number}|null} The mean, between 0 and
+ *   2π, and how steady the angles are, between 0 and 1. Null if there are no
+ *   angles.
+ */
+export function getCircularMean(angles) {
+    if (!angles.length) return null;
+    const x = angles.reduce((sum, a) => sum + Math.sin(a), 0);
+    const y = angles.reduce((sum, a) => sum + Math.cos(a), 0);
+    return {
+        mean: (Math.atan2(x, y) + 2 * Math.PI) % (2 * Math.PI),
+        steadiness: Math.hypot(x, y) / angles.length,
+    };
+}
+
+// Return the signed difference between two angles, between -π and π
+function getAngleDifference(to, from) {
+    return ((to - from + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+}
+
+// Pair each direction with the latest speed at or before its time
+function pairSamples(directions, speeds) {
+    const samples = [];
+    let j = -1;
+    for (const d of directions) {
+        while (j + 1 < speeds.length && speeds[j + 1].time <= d.time) j++;
+        if (j >= 0) samples.push({ time: d.time, direction: d.value, speed: speeds[j].value });
+    }
+    return samples;
+}
+
+/**
+ * Summarize the true wind over a time window, from the history of a vessel.
+ * @param {HistoryState} history - The history of the vessel's values
+ * @param {number} windowLength - Length of the window in seconds
+ * @param {number} now - Current time in milliseconds since the unix epoch.
+ * @returns {object|null} The summary. Null if there is no true wind in the
+ *   window.
+ */
+export function getWindSummary(history, windowLength, now) {
+    const directions = getRecentPoints(history["environment.wind.directionTrue"],
+        windowLength, now);
+    // Take in the speed from before the window, to pair with the first
+    // direction
+    const speeds = history["environment.wind.speedTrue"]?.points || [];
+    const samples = pairSamples(directions, speeds);
+    if (!samples.length) return null;
+
+    const { mean, steadiness } = getCircularMean(samples.map((s) => s.direction));
+    const speedValues = samples.map((s) => s.speed);
+
+    // Compare the latest part of the window with what came before it
+    const split = now - windOptions.shiftWindow * 1000;
+    const before = getCircularMean(samples.filter((s) => s.time < split).map((s) => s.direction));
+    const after = getCircularMean(samples.filter((s) => s.time >= split).map((s) => s.direction));
+    const shift = before && after ? getAngleDifference(after.mean, before.mean) : null;
+
+    const sectorWidth = 2 * Math.PI / windOptions.sectors;
+    const sectors = Array.from({ length: windOptions.sectors }, () => ({ count: 0, speed: 0 }));
+    for (const s of samples) {
+        const i = Math.floor(((s.direction + sectorWidth / 2) % (2 * Math.PI) + 2 * Math.PI) %
+            (2 * Math.PI) / sectorWidth) % windOptions.sectors;
+        sectors[i].count++;
+        sectors[i].speed += s.speed;
+    }
+    for (const sector of sectors) {
+        if (sector.count) sector.speed /= sector.count;
+    }
+
+    return {
+        samples,
+        mean,
+        steadiness,
+        speed: speedValues.reduce((sum, v) => sum + v, 0) / speedValues.length,
+        gust: Math.max(...speedValues),
+        lull: Math.min(...speedValues),
+        shift,
+        sectors,
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * Copyright (c) 2024-present Tom Keffer <tkeffer@gmail.com>
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { describe, expect, it } from "vitest";
+import { getCircularMean, getWindSummary } from "./wind.js";
+
+const degrees = (d) => d * Math.PI / 180;
+
+describe("getCircularMean", () => {
+    it("averages across north", () => {
+        const { mean, steadiness } = getCircularMean([degrees(350), degrees(10)]);
+        // 0 and 2π are the same direction
+        expect(Math.cos(mean)).toBeCloseTo(1);
+        expect(Math.sin(mean)).toBeCloseTo(0);
+        expect(steadiness).toBeCloseTo(Math.cos(degrees(10)));
+    });
+
+    it("gives a mean between 0 and 2π", () => {
+        const { mean } = getCircularMean([degrees(340), degrees(350)]);
+        expect(mean).toBeCloseTo(degrees(345));
+    });
+
+    it("has no steadiness for opposite directions", () => {
+        expect(getCircularMean([0, Math.PI]).steadiness).toBeCloseTo(0);
+    });
+
+    it("is null without angles", () => {
+        expect(getCircularMean([])).toBeNull();
+    });
+});
+
+describe("getWindSummary", () => {
+    const now = 1_000_000;
+    const history = {
+        "environment.wind.directionTrue": {
+            points: [
+                { time: now - 3000, value: degrees(355) },
+                { time: now - 2000, value: degrees(5) },
+                { time: now - 1000, value: degrees(10) },
+            ],
+        },
+        "environment.wind.speedTrue": {
+            points: [
+                { time: now - 5000, value: 4 },
+                { time: now - 1500, value: 8 },
+            ],
+        },
+    };
+
+    it("pairs each direction with the speed at the time", () => {
+        const summary = getWindSummary(history, 60, now);
+        expect(summary.samples.map((s) => s.speed)).toEqual([4, 4, 8]);
+        expect(summary.gust).toBe(8);
+        expect(summary.lull).toBe(4);
+        expect(summary.mean).toBeCloseTo(degrees(10 / 3), 3);
+    });
+
+    it("counts north in the sector around north", () => {
+        const summary = getWindSummary(history, 60, now);
+        expect(summary.sectors[0].count).toBe(3);
+    });
+
+    it("is null without wind", () => {
+        expect(getWindSummary({}, 60, now)).toBeNull();
+    });
+});
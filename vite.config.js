@@ -8,14 +8,21 @@ const __dirname = path.dirname(__filename);
 
 // https://vitejs.dev/config/
 export default defineConfig({
-    base: "/flyer-map",
+    // Keep the trailing slash: the app joins file names straight onto
+    // import.meta.env.BASE_URL
+    base: "/flyer-map/",
     plugins: [react()],
     build: {
         rollupOptions: {
             input: {
                 main: path.resolve(__dirname, "index.html"),
+                admin: path.resolve(__dirname, "admin.html"),
                 status: path.resolve(__dirname, "status.html"),
             },
         },
     },
+    test: {
+        // The modules under test use the browser's localStorage and DOMParser
+        environment: "jsdom",
+    },
 });